@@ -9,22 +9,57 @@ declare function fetch (
   options?: RequestInit
 ): Promise<Response>
 
+declare namespace fetch {
+  function isRedirect (code: number): boolean
+  // electron-fetch extension: create a fetch function with default options and middleware
+  function create (options?: CreateOptions): FetchInstance
+}
+
+// passes the request to the next middleware, or sends it for the last one
+export type NextFunction = (input: RequestInfo, init?: RequestInit) => Promise<Response>
+
+export type Middleware = (request: Request, next: NextFunction) => Response | Promise<Response>
+
+// default options, merged into the options of each request
+export interface CreateOptions extends RequestInit {
+  // absolute URL against which relative URLs are resolved
+  baseURL?: string
+  // run in order, the first one being the outermost
+  middleware?: Middleware[]
+}
+
+export interface FetchInstance {
+  (url: RequestInfo, options?: RequestInit): Promise<Response>
+  isRedirect (code: number): boolean
+  // create a fetch function extending the options of this one
+  create (options?: CreateOptions): FetchInstance
+}
+
 export enum FetchErrorType {
   BodyTimeout = "body-timeout",
   System = "system",
   MaxSize = "max-size",
   Abort = "abort",
   RequestTimeout = "request-timeout",
+  ConnectTimeout = "connect-timeout",
+  HeadersTimeout = "headers-timeout",
+  IdleTimeout = "idle-timeout",
+  TotalTimeout = "total-timeout",
   Proxy = "proxy",
   NoRedirect = "no-redirect",
   MaxRedirect = "max-redirect",
   InvalidRedirect = "invalid-redirect",
+  InvalidFormData = "invalid-form-data",
+  CacheMiss = "cache-miss",
+  InvalidContentEncoding = "invalid-content-encoding",
 }
 
 export class FetchError extends Error {
   constructor(message: string, type: FetchErrorType, systemError?: { code: string });
   type: string;
   code?: string;
+  // for errors of type `abort`, named `AbortError`: the reason of the aborted signal
+  reason?: any;
 }
 
 export type HeadersInit = Headers | string[][] | { [key: string]: string }
@@ -54,10 +89,56 @@ export class Headers {
   [Symbol.iterator] (): IterableIterator<[string, string]>
 }
 
-export type BodyInit = Stream | string | Blob | Buffer | null
+export class Blob {
+  constructor (blobParts?: Array<Buffer | ArrayBuffer | ArrayBufferView | Blob | string>, options?: { type?: string })
+
+  readonly size: number
+  readonly type: string
+
+  slice (start?: number, end?: number, contentType?: string): Blob
+}
+
+export class File extends Blob {
+  constructor (fileBits: Array<Buffer | ArrayBuffer | ArrayBufferView | Blob | string>, fileName: string, options?: { type?: string, lastModified?: number })
+
+  readonly name: string
+  readonly lastModified: number
+}
+
+export type FormDataEntryValue = File | string
+
+export class FormData {
+  constructor ()
+
+  append (name: string, value: string | Blob, fileName?: string): void
+
+  delete (name: string): void
+
+  get (name: string): FormDataEntryValue | null
+
+  getAll (name: string): FormDataEntryValue[]
+
+  has (name: string): boolean
+
+  set (name: string, value: string | Blob, fileName?: string): void
+
+  entries (): IterableIterator<[string, FormDataEntryValue]>
+
+  forEach (callback: (value: FormDataEntryValue, name: string, formData: FormData) => void, thisArg?: any): void
+
+  keys (): IterableIterator<string>
+
+  values (): IterableIterator<FormDataEntryValue>
+
+  [Symbol.iterator] (): IterableIterator<[string, FormDataEntryValue]>
+}
+
+export type BodyInit = Stream | ReadableStream<Uint8Array> | AsyncIterable<Buffer | Uint8Array | string> | string | Blob | Buffer | ArrayBuffer | ArrayBufferView | FormData | URLSearchParams | null
 
 export interface Body {
   readonly bodyUsed: boolean
+  // name of the encoding detected by textConverted() or textStream(), null until it is known
+  readonly detectedEncoding: string | null
 
   arrayBuffer (): Promise<ArrayBuffer>
 
@@ -70,6 +151,16 @@ export interface Body {
   text (): Promise<string>
 
   buffer (): Promise<Buffer>
+
+  textConverted (): Promise<string>
+
+  textStream (): NodeJS.ReadableStream
+}
+
+export interface RedirectHop {
+  url: string
+  status: number
+  headers: Headers
 }
 
 export class Response implements Body {
@@ -80,12 +171,22 @@ export class Response implements Body {
   readonly ok: boolean
   readonly statusText: string
   readonly headers: Headers
-  readonly body: Readable | string
+  readonly redirected: boolean
+  // WHATWG ReadableStream when fetched with `useWebStreams`
+  readonly body: Readable | ReadableStream<Uint8Array> | string
 
   clone (): Response
 
+  ////////////////////////////////////////////////////////////////////////////
+  // The following properties are electron-fetch extensions
+
+  // redirects followed to get this response, in order
+  readonly redirectChain: RedirectHop[]
+
   // Body impl
   readonly bodyUsed: boolean
+  // name of the encoding detected by textConverted() or textStream(), null until it is known
+  readonly detectedEncoding: string | null
 
   arrayBuffer (): Promise<ArrayBuffer>
 
@@ -98,6 +199,143 @@ export class Response implements Body {
   text (): Promise<string>
 
   buffer (): Promise<Buffer>
+
+  textConverted (): Promise<string>
+
+  textStream (): NodeJS.ReadableStream
+}
+
+export interface Progress {
+  // number of bytes transferred so far
+  loaded: number
+  // total number of bytes, or null if unknown
+  total: number | null
+}
+
+export interface RetryOptions {
+  // maximum number of retries after the first attempt
+  retries?: number
+  // methods that can be retried, idempotent ones by default
+  methods?: string[]
+  // response statuses that trigger a retry
+  statuses?: number[]
+  // FetchError types that trigger a retry
+  errorTypes?: Array<FetchErrorType | string>
+  // delay before the first retry in ms, multiplied by `factor` for each subsequent retry, up to `maxDelay`
+  delay?: number
+  factor?: number
+  maxDelay?: number
+  // randomize delays between 0 and the computed delay
+  jitter?: boolean
+  // wait for the delay given by the Retry-After response header instead, unless it exceeds `maxDelay`
+  retryAfter?: boolean
+}
+
+export type RequestCompression = 'gzip' | 'deflate' | 'br'
+
+export type RequestCache = 'default' | 'no-store' | 'reload' | 'no-cache' | 'force-cache' | 'only-if-cached'
+
+export interface CacheMetadata {
+  url: string
+  // identifies the entry among the ones stored under the same key, as per the Vary response header and the `decompress` option
+  variant: string
+  vary: { [name: string]: string | null }
+  // false for bodies fetched with `decompress: false`
+  decoded: boolean
+  status: number
+  statusText: string
+  headers: Array<[string, string]>
+  requestTime: number
+  responseTime: number
+}
+
+export interface CacheEntry {
+  metadata: CacheMetadata
+  body (): Buffer | Stream
+}
+
+export interface CacheStore {
+  // behave as a shared cache, as per RFC 9111
+  shared?: boolean
+  get (key: string): Promise<CacheEntry[]>
+  // replaces the entry with the same `metadata.variant`
+  put (key: string, metadata: CacheMetadata, body: Stream): Promise<void>
+  // replaces the metadata of the entry with the same `metadata.variant`, keeping its body
+  update (key: string, metadata: CacheMetadata): Promise<void>
+  delete (key: string): Promise<void>
+}
+
+export class MemoryCacheStore implements CacheStore {
+  constructor (options?: { maxSize?: number, shared?: boolean })
+
+  maxSize: number
+  shared: boolean
+  // total size of stored bodies in bytes
+  readonly size: number
+
+  get (key: string): Promise<CacheEntry[]>
+  put (key: string, metadata: CacheMetadata, body: Stream): Promise<void>
+  update (key: string, metadata: CacheMetadata): Promise<void>
+  delete (key: string, variant?: string): Promise<void>
+}
+
+export class DiskCacheStore implements CacheStore {
+  constructor (options: { path: string, maxSize?: number, shared?: boolean })
+
+  readonly path: string
+  maxSize: number
+  shared: boolean
+
+  get (key: string): Promise<CacheEntry[]>
+  put (key: string, metadata: CacheMetadata, body: Stream): Promise<void>
+  update (key: string, metadata: CacheMetadata): Promise<void>
+  delete (key: string): Promise<void>
+}
+
+export interface Cookie {
+  name: string
+  value: string
+  domain: string
+  path: string
+  // expiry time in ms, null for session cookies
+  expires: number | null
+  secure: boolean
+  httpOnly: boolean
+  sameSite: 'strict' | 'lax' | 'none'
+  // whether the cookie is only sent to `domain`, and not to its subdomains
+  hostOnly: boolean
+  creationTime: number
+  lastAccessTime: number
+}
+
+export class CookieJar {
+  constructor (options?: { isPublicSuffix?: (domain: string) => boolean })
+
+  isPublicSuffix: (domain: string) => boolean
+
+  // returns the stored cookie, or null if it was rejected
+  setCookie (setCookie: string, url: string, options?: { http?: boolean }): Cookie | null
+  setCookies (setCookies: string | string[] | undefined, url: string): void
+  getCookies (url: string, options?: { http?: boolean, siteForCookies?: string, method?: string }): Cookie[]
+  getCookieString (url: string, options?: { http?: boolean, siteForCookies?: string, method?: string }): string
+  getAllCookies (): Cookie[]
+  // returns the stored cookie, or null if it is invalid or expired
+  putCookie (cookie: Partial<Cookie> & Pick<Cookie, 'name' | 'value' | 'domain' | 'path'>): Cookie | null
+  removeAllCookies (): void
+  // registrable domain of a host
+  getSite (host: string): string
+
+  toJSON (options?: { includeSessionCookies?: boolean }): SerializedCookieJar
+  static fromJSON (json: string | SerializedCookieJar, options?: { isPublicSuffix?: (domain: string) => boolean }): CookieJar
+
+  // copy cookies to/from an Electron session, only those sent to `url` if given
+  exportToSession (session: Session, url?: string): Promise<void>
+  importFromSession (session: Session, url?: string): Promise<void>
+}
+
+export interface SerializedCookieJar {
+  version: number
+  cookies: Cookie[]
 }
 
 export interface RequestInit {
@@ -106,22 +344,56 @@ export interface RequestInit {
   headers?: HeadersInit
   body?: BodyInit
   signal?: AbortSignal
-  // (/!\ only works when running on Node.js) set to `manual` to extract redirect headers, `error` to reject redirect
+  // how the request interacts with the HTTP cache
+  cache?: RequestCache
+  // set to `manual` to extract redirect headers, `error` to reject redirect
   redirect?: RequestRedirect
 
   ////////////////////////////////////////////////////////////////////////////
   // The following properties are electron-fetch extensions
 
-  // (/!\ only works when running on Node.js) maximum redirect count. 0 to not follow redirect
+  // plain object sent as an application/x-www-form-urlencoded body. Cannot be used along with `body`
+  form?: { [key: string]: string | number | boolean | null | undefined | Array<string | number | boolean> }
+  // maximum redirect count. 0 to not follow redirect
   follow?: number
   // req/res timeout in ms, it resets on redirect. 0 to disable (OS limit applies)
   timeout?: number
+  // maximum time in ms to establish the connection. 0 to disable
+  connectTimeout?: number
+  // maximum time in ms between the end of the request and the response headers. 0 to disable
+  headersTimeout?: number
+  // maximum time in ms without receiving response body data while it is read. 0 to disable
+  idleTimeout?: number
+  // maximum time in ms for the whole fetch, redirects and response body included. 0 to disable
+  totalTimeout?: number
   // maximum response body size in bytes. 0 to disable
   size?: number
+  // compress the request body
+  compress?: RequestCompression
+  // decode the response body as per its Content-Encoding header, and set the Accept-Encoding request header. true by default
+  decompress?: boolean
+  // tolerate truncated responses and wrong Content-Encoding headers, reporting them as warnings. false by default
+  lenientDecoding?: boolean
+  // called with the anomalies tolerated by `lenientDecoding`, FetchErrors of type `invalid-content-encoding`. Defaults to `process.emitWarning()`
+  onWarning?: (warning: FetchError) => void
+  // number of retries, or retry policy, for transient failures
+  retry?: number | RetryOptions
+  // store of the HTTP cache. Without it, the `cache` mode is handled by Chromium's HTTP cache on Electron
+  cacheStore?: CacheStore
+  // stores the cookies of every response, redirects included, and sends them with requests
+  cookieJar?: CookieJar
+  // called before following each redirect. Can modify the headers of `request`, return another URL to request, or throw to reject
+  onRedirect?: (request: Request, response: Response, nextUrl: string) => void | string | Promise<void | string>
   session?: Session
   agent?: Agent,
   useElectronNet?: boolean
   useSessionCookies?: boolean
+  // expose the response body as a WHATWG ReadableStream instead of a Node.js Readable stream
+  useWebStreams?: boolean
+  // called each time a chunk of the request body is sent
+  onUploadProgress?: (progress: Progress) => void
+  // called each time a chunk of the response body is received
+  onDownloadProgress?: (progress: Progress) => void
   // When running on Electron behind an authenticated HTTP proxy, username to use to authenticate
   user?: string
   // When running on Electron behind an authenticated HTTP proxy, password to use to authenticate
@@ -144,26 +416,43 @@ export class Request implements Body {
 
   readonly redirect: RequestRedirect
   readonly signal: AbortSignal
+  readonly cache: RequestCache
 
   clone (): Request
 
   ////////////////////////////////////////////////////////////////////////////
   // The following properties are electron-fetch extensions
 
-  // (/!\ only works when running on Node.js) maximum redirect count. 0 to not follow redirect
+  // maximum redirect count. 0 to not follow redirect
   follow: number
-  // (/!\ only works when running on Node.js)
   counter: number
+  connectTimeout: number
+  headersTimeout: number
+  idleTimeout: number
+  totalTimeout: number
+  compress: RequestCompression | null
+  decompress: boolean
+  lenientDecoding: boolean
+  onWarning: ((warning: FetchError) => void) | null
   // (/!\ only works when running on Electron)
   session?: Session
   // (/!\ only works when running on Electron, throws when set to true on Node.js)
   useElectronNet: boolean
   // (/!\ only works when running on Electron)
   useSessionCookies?: boolean
+  useWebStreams: boolean
+  retry: Required<RetryOptions> | null
+  cacheStore: CacheStore | null
+  cookieJar: CookieJar | null
+  onRedirect: ((request: Request, response: Response, nextUrl: string) => void | string | Promise<void | string>) | null
+  onUploadProgress: ((progress: Progress) => void) | null
+  onDownloadProgress: ((progress: Progress) => void) | null
 
   ////////////////////////////////////////////////////////////////////////////
   // Body impl
   readonly bodyUsed: boolean
+  // name of the encoding detected by textConverted() or textStream(), null until it is known
+  readonly detectedEncoding: string | null
 
   arrayBuffer (): Promise<ArrayBuffer>
 
@@ -177,5 +466,9 @@ export class Request implements Body {
 
   buffer (): Promise<Buffer>
 
-  readonly body: Readable
+  textConverted (): Promise<string>
+
+  textStream (): NodeJS.ReadableStream
+
+  readonly body: Readable | ReadableStream<Uint8Array>
 }
@@ -0,0 +1,43 @@
+/**
+ * abort.js
+ *
+ * Errors of requests aborted through an AbortSignal
+ */
+
+import FetchError from './fetch-error.js'
+
+// reasons used as errors, which must not be wrapped into other errors
+const REASONS = new WeakSet()
+
+/**
+ * Get the error a fetch aborted by a signal fails with
+ *
+ * As in browsers, this is the reason the signal was aborted with, such as the
+ * `TimeoutError` of `AbortSignal.timeout()`. Signals aborted without a specific
+ * reason (or with a reason that is not an object) give a FetchError of type
+ * `abort`, named `AbortError`, with the reason as `reason` property.
+ *
+ * @param {AbortSignal} signal Aborted signal
+ * @return {*}
+ */
+export function getAbortError (signal) {
+  const { reason } = signal
+  if (reason !== null && typeof reason === 'object' && reason.name !== 'AbortError') {
+    REASONS.add(reason)
+    return reason
+  }
+  const err = new FetchError('request aborted', 'abort')
+  err.name = 'AbortError'
+  err.reason = reason
+  return err
+}
+
+/**
+ * Check if an error was created by `getAbortError()`
+ *
+ * @param {*} err
+ * @return {boolean}
+ */
+export function isAbortError (err) {
+  return err instanceof FetchError ? err.type === 'abort' : REASONS.has(err)
+}
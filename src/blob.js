@@ -107,3 +107,39 @@ Object.defineProperty(Blob.prototype, Symbol.toStringTag, {
   enumerable: false,
   configurable: true
 })
+
+const NAME = Symbol('name')
+const LAST_MODIFIED = Symbol('lastModified')
+
+export class File extends Blob {
+  constructor (fileBits, fileName, options) {
+    super(fileBits, options)
+
+    Object.defineProperty(this, Symbol.toStringTag, {
+      value: 'File',
+      writable: false,
+      enumerable: false,
+      configurable: true
+    })
+
+    this[NAME] = String(fileName)
+    this[LAST_MODIFIED] = options && options.lastModified !== undefined
+      ? Number(options.lastModified)
+      : Date.now()
+  }
+
+  get name () {
+    return this[NAME]
+  }
+
+  get lastModified () {
+    return this[LAST_MODIFIED]
+  }
+}
+
+Object.defineProperty(File.prototype, Symbol.toStringTag, {
+  value: 'FilePrototype',
+  writable: false,
+  enumerable: false,
+  configurable: true
+})
@@ -4,19 +4,27 @@
  * Body interface provides common methods for Request and Response
  */
 
-import { convert } from 'encoding'
-import Stream, { PassThrough } from 'stream'
-import Blob, { BUFFER } from './blob.js'
+import Stream, { PassThrough, Transform } from 'stream'
+import { URLSearchParams } from 'url'
+import Blob, { BUFFER, File } from './blob.js'
+import FormData, { cloneFormData, getFormDataBoundary, serializeFormData } from './form-data.js'
+import MultipartParser, { getBoundary, parseContentDisposition } from './multipart-parser.js'
 import FetchError from './fetch-error.js'
+import { isAbortError } from './abort.js'
+import { createCompressStream } from './content-encoding.js'
+import convertBody, { createCharsetDecoder } from './charset.js'
+import { asyncIterableToNode, isAsyncIterable, isReadableStream, readableStreamToNode } from './streams.js'
 
 const DISTURBED = Symbol('disturbed')
+const ENCODING = Symbol('encoding')
+const ERROR = Symbol('error')
 
 /**
  * Body class
  *
  * Cannot use ES6 class because Body must be called with .call().
  *
- * @param {Stream|string|Blob|Buffer|null} body Readable stream
+ * @param {Stream|ReadableStream|AsyncIterable|string|Blob|Buffer|ArrayBuffer|ArrayBufferView|FormData|URLSearchParams|null} body Readable stream
  * @param {number} size
  * @param {number} timeout
  */
@@ -30,8 +38,22 @@ export default function Body (body, { size = 0, timeout = 0 } = {}) {
     // body is blob
   } else if (Buffer.isBuffer(body)) {
     // body is buffer
+  } else if (Object.prototype.toString.call(body) === '[object ArrayBuffer]') {
+    // body is ArrayBuffer (not using instanceof, which fails for ArrayBuffers from another context)
+    body = Buffer.from(body)
+  } else if (ArrayBuffer.isView(body)) {
+    // body is TypedArray or DataView
+    body = Buffer.from(body.buffer, body.byteOffset, body.byteLength)
+  } else if (body instanceof FormData) {
+    // body is FormData
+  } else if (isURLSearchParams(body)) {
+    // body is URLSearchParams
   } else if (body instanceof Stream) {
     // body is stream
+  } else if (isReadableStream(body)) {
+    // body is WHATWG ReadableStream
+  } else if (isAsyncIterable(body)) {
+    // body is async iterable, e.g. async generator
   } else {
     // none of the above
     // coerce to string
@@ -39,6 +61,7 @@ export default function Body (body, { size = 0, timeout = 0 } = {}) {
   }
   this.body = body
   this[DISTURBED] = false
+  this[ENCODING] = null
   this.size = size
   this.timeout = timeout
 }
@@ -48,6 +71,16 @@ Body.prototype = {
     return this[DISTURBED]
   },
 
+  /**
+   * Name of the encoding detected by textConverted() or textStream(), null
+   * until it is known (non-spec api)
+   *
+   * @return {string|null}
+   */
+  get detectedEncoding () {
+    return this[ENCODING]
+  },
+
   /**
    * Decode response as ArrayBuffer
    *
@@ -75,6 +108,80 @@ Body.prototype = {
     ))
   },
 
+  /**
+   * Decode response as FormData, from either a multipart/form-data or an
+   * application/x-www-form-urlencoded body
+   *
+   * @return {Promise}
+   */
+  formData () {
+    const ct = (this.headers && this.headers.get('content-type')) || ''
+    const mimeType = ct.split(';')[0].trim().toLowerCase()
+
+    if (mimeType === 'application/x-www-form-urlencoded') {
+      return consumeBody.call(this).then(buffer => {
+        const formData = new FormData()
+        for (const [name, value] of new URLSearchParams(buffer.toString())) {
+          formData.append(name, value)
+        }
+        return formData
+      })
+    }
+
+    if (mimeType !== 'multipart/form-data') {
+      return Promise.reject(new TypeError(`Could not parse content as FormData: unsupported content-type "${ct}"`))
+    }
+
+    const boundary = getBoundary(ct)
+    if (!boundary) {
+      return Promise.reject(new TypeError('Could not parse content as FormData: missing multipart boundary'))
+    }
+
+    const formData = new FormData()
+    let part
+    const parser = new MultipartParser(boundary, {
+      onPartBegin: headers => {
+        const disposition = parseContentDisposition(headers['content-disposition'] || '')
+        if (disposition.type !== 'form-data' || disposition.params.name === undefined) {
+          throw new Error('part is missing a form-data content-disposition with a name')
+        }
+        part = {
+          name: disposition.params.name,
+          filename: disposition.params.filename,
+          type: headers['content-type'],
+          chunks: []
+        }
+      },
+      onPartData: chunk => {
+        part.chunks.push(chunk)
+      },
+      onPartEnd: () => {
+        if (part.filename !== undefined) {
+          // ref: https://fetch.spec.whatwg.org/#concept-body-package-data (multipart/form-data parser)
+          formData.append(part.name, new File(part.chunks, part.filename, { type: part.type || 'text/plain' }))
+        } else {
+          formData.append(part.name, Buffer.concat(part.chunks).toString())
+        }
+      }
+    })
+    const invalidFormData = err => new FetchError(`Invalid multipart/form-data body while trying to fetch ${this.url}: ${err.message}`, 'invalid-form-data')
+
+    return consumeBodyChunks.call(this, chunk => {
+      try {
+        parser.write(chunk)
+      } catch (err) {
+        throw invalidFormData(err)
+      }
+    }).then(() => {
+      try {
+        parser.end()
+      } catch (err) {
+        throw invalidFormData(err)
+      }
+      return formData
+    })
+  },
+
   /**
    * Decode response as json
    *
@@ -109,11 +216,66 @@ Body.prototype = {
    * @return {Promise}
    */
   textConverted () {
-    return consumeBody.call(this).then(buffer => convertBody(buffer, this.headers))
+    return consumeBody.call(this).then(buffer => {
+      const { text, encoding } = convertBody(buffer, this.headers)
+      this[ENCODING] = encoding
+      return text
+    })
+  },
+
+  /**
+   * Decode response as a stream of text, detecting the encoding as
+   * textConverted() does, without holding the whole body in memory (non-spec api)
+   *
+   * The `size` and `timeout` limits apply as when consuming the body at once,
+   * failing the stream.
+   *
+   * @return {Stream} Readable stream of UTF-8 strings
+   */
+  textStream () {
+    const decoder = createCharsetDecoder(this.headers, encoding => { this[ENCODING] = encoding })
+    consumeBodyChunks.call(this, chunk => {
+      if (decoder.destroyed) {
+        throw new Error('text stream destroyed')
+      }
+      if (!decoder.write(chunk)) {
+        return new Promise(resolve => {
+          const onDrain = () => {
+            decoder.removeListener('drain', onDrain)
+            decoder.removeListener('close', onDrain)
+            resolve()
+          }
+          decoder.on('drain', onDrain)
+          decoder.on('close', onDrain)
+        })
+      }
+    }).then(() => decoder.end(), err => decoder.destroy(err))
+    return decoder
   }
 
 }
 
+/**
+ * Check if `obj` is a URLSearchParams object, even from another implementation
+ * than Node.js' (e.g. a polyfill)
+ *
+ * @param {*} obj
+ * @return {boolean}
+ */
+export function isURLSearchParams (obj) {
+  return obj != null &&
+    typeof obj === 'object' &&
+    typeof obj.append === 'function' &&
+    typeof obj.delete === 'function' &&
+    typeof obj.get === 'function' &&
+    typeof obj.getAll === 'function' &&
+    typeof obj.has === 'function' &&
+    typeof obj.set === 'function' &&
+    typeof obj.sort === 'function' &&
+    (Object.prototype.toString.call(obj) === '[object URLSearchParams]' ||
+      (obj.constructor != null && obj.constructor.name === 'URLSearchParams'))
+}
+
 Body.mixIn = function (proto) {
   for (const name of Object.getOwnPropertyNames(Body.prototype)) {
     // istanbul ignore else
@@ -130,40 +292,76 @@ Body.mixIn = function (proto) {
  * @return {Promise}
  */
 function consumeBody () {
+  const accum = []
+  return consumeBodyChunks.call(this, chunk => {
+    accum.push(chunk)
+  }).then(() => accum.length === 1 ? accum[0] : Buffer.concat(accum))
+}
+
+/**
+ * Read the body chunk by chunk, enforcing the `size` and `timeout` limits
+ *
+ * If `onChunk` throws, reading stops and the promise rejects with the thrown error.
+ * If it returns a promise, reading is paused until it resolves.
+ *
+ * @param {function} onChunk Executed for each chunk with a Buffer
+ * @return {Promise}
+ */
+function consumeBodyChunks (onChunk) {
   if (this[DISTURBED]) {
     return Promise.reject(new Error(`body used already for: ${this.url}`))
   }
 
   this[DISTURBED] = true
 
+  const consumeBuffer = buffer => {
+    try {
+      onChunk(buffer)
+      return Promise.resolve()
+    } catch (err) {
+      return Promise.reject(err)
+    }
+  }
+
   // body is null
   if (this.body === null) {
-    return Promise.resolve(Buffer.alloc(0))
+    return Promise.resolve()
   }
 
   // body is string
   if (typeof this.body === 'string') {
-    return Promise.resolve(Buffer.from(this.body))
+    return consumeBuffer(Buffer.from(this.body))
   }
 
   // body is blob
   if (this.body instanceof Blob) {
-    return Promise.resolve(this.body[BUFFER])
+    return consumeBuffer(this.body[BUFFER])
   }
 
   // body is buffer
   if (Buffer.isBuffer(this.body)) {
-    return Promise.resolve(this.body)
+    return consumeBuffer(this.body)
+  }
+
+  // body is FormData
+  if (this.body instanceof FormData) {
+    return consumeBuffer(Buffer.concat(serializeFormData(this.body)))
+  }
+
+  // body is URLSearchParams
+  if (isURLSearchParams(this.body)) {
+    return consumeBuffer(Buffer.from(this.body.toString()))
   }
 
+  // body is stream, WHATWG ReadableStreams and async iterables being read through a Node.js stream
+  const body = toNodeStream(this.body)
+
   // istanbul ignore if: should never happen
-  if (!(this.body instanceof Stream)) {
-    return Promise.resolve(Buffer.alloc(0))
+  if (!(body instanceof Stream)) {
+    return Promise.resolve()
   }
 
-  // body is stream
   // get ready to actually consume the body
-  const accum = []
   let accumBytes = 0
   let abort = false
 
@@ -175,16 +373,26 @@ function consumeBody () {
       resTimeout = setTimeout(() => {
         abort = true
         reject(new FetchError(`Response timeout while trying to fetch ${this.url} (over ${this.timeout}ms)`, 'body-timeout'))
-        this.body.emit('cancel-request')
+        body.emit('cancel-request')
       }, this.timeout)
     }
 
     // handle stream error, such as incorrect content-encoding
-    this.body.on('error', err => {
-      reject(new FetchError(`Invalid response body while trying to fetch ${this.url}: ${err.message}`, 'system', err))
-    })
+    const onError = err => {
+      abort = true
+      clearTimeout(resTimeout)
+      // timeouts and aborts of the request are not wrapped
+      reject(err instanceof FetchError || isAbortError(err)
+        ? err
+        : new FetchError(`Invalid response body while trying to fetch ${this.url}: ${err.message}`, 'system', err))
+    }
+    body.on('error', onError)
+    // the body may have failed before being read, e.g. when the request was aborted
+    if (body[ERROR]) {
+      onError(body[ERROR])
+    }
 
-    this.body.on('data', chunk => {
+    body.on('data', chunk => {
       if (abort || chunk === null) {
         return
       }
@@ -192,89 +400,73 @@ function consumeBody () {
       if (this.size && accumBytes + chunk.length > this.size) {
         abort = true
         reject(new FetchError(`content size at ${this.url} over limit: ${this.size}`, 'max-size'))
-        this.body.emit('cancel-request')
+        body.emit('cancel-request')
         return
       }
 
       accumBytes += chunk.length
-      accum.push(chunk)
+      let result
+      try {
+        result = onChunk(chunk)
+      } catch (err) {
+        abort = true
+        clearTimeout(resTimeout)
+        reject(err)
+        body.emit('cancel-request')
+        return
+      }
+      // backpressure of the consumer
+      if (result && typeof result.then === 'function') {
+        body.pause()
+        result.then(() => body.resume())
+      }
     })
 
-    this.body.on('end', () => {
+    body.on('end', () => {
       if (abort) {
         return
       }
 
       clearTimeout(resTimeout)
-      resolve(Buffer.concat(accum))
+      resolve()
     })
   })
 }
 
 /**
- * Detect buffer encoding and convert to target encoding
- * ref: http://www.w3.org/TR/2011/WD-html5-20110113/parsing.html#determining-the-character-encoding
+ * Get a Node.js stream to read a stream-like body from
  *
- * @param {Buffer} buffer   Incoming buffer
- * @param {Headers} headers
- * @return {string}
+ * @param {Stream|ReadableStream|AsyncIterable} body
+ * @return {Stream}
  */
-function convertBody (buffer, headers) {
-  const ct = headers.get('content-type')
-  let charset = 'utf-8'
-  let res
-
-  // header
-  if (ct) {
-    res = /charset=([^;]*)/i.exec(ct)
-  }
-
-  // no charset in content type, peek at response body for at most 1024 bytes
-  const str = buffer.slice(0, 1024).toString()
-
-  // html5
-  if (!res && str) {
-    res = /<meta.+?charset=(['"])(.+?)\1/i.exec(str)
-  }
-
-  // html4
-  if (!res && str) {
-    res = /<meta[\s]+?http-equiv=(['"])content-type\1[\s]+?content=(['"])(.+?)\2/i.exec(str)
-
-    if (res) {
-      res = /charset=(.*)/i.exec(res.pop())
-    }
-  }
-
-  // xml
-  if (!res && str) {
-    res = /<\?xml.+?encoding=(['"])(.+?)\1/i.exec(str)
-  }
-
-  // found charset
-  if (res) {
-    charset = res.pop()
-
-    // prevent decode issues when sites use incorrect encoding
-    // ref: https://hsivonen.fi/encoding-menu/
-    if (charset === 'gb2312' || charset === 'gbk') {
-      charset = 'gb18030'
-    }
+function toNodeStream (body) {
+  if (body instanceof Stream) {
+    return body
+  } else if (isReadableStream(body)) {
+    return readableStreamToNode(body)
+  } else if (isAsyncIterable(body)) {
+    return asyncIterableToNode(body)
   }
+  return body
+}
 
-  // turn raw buffers into a single utf-8 buffer
-  return convert(
-    buffer,
-    'UTF-8',
-    charset
-  ).toString()
+/**
+ * Destroy a body stream with an error, kept for reads started afterwards
+ * (`stream.errored` only exists since Node.js 18)
+ *
+ * @param {Stream} stream
+ * @param {Error} err
+ */
+export function failBody (stream, err) {
+  stream[ERROR] = err
+  stream.destroy(err)
 }
 
 /**
  * Clone body given Res/Req instance
  *
  * @param {Response|Request} instance Response or Request instance
- * @return {string|Blob|Buffer|Stream}
+ * @return {string|Blob|Buffer|FormData|URLSearchParams|Stream|ReadableStream}
  */
 export function clone (instance) {
   let p1, p2
@@ -285,6 +477,11 @@ export function clone (instance) {
     throw new Error('cannot clone body after it is used')
   }
 
+  // async iterables can only be iterated once, so read them through a stream that can be teed
+  if (isAsyncIterable(body) && !(body instanceof Stream) && !isReadableStream(body)) {
+    body = asyncIterableToNode(body)
+  }
+
   // check that body is a stream and not form-data object
   // note: we can't clone the form-data object without having it as a dependency
   if ((body instanceof Stream) && (typeof body.getBoundary !== 'function')) {
@@ -296,6 +493,18 @@ export function clone (instance) {
     // set instance body to teed body and return the other teed body
     instance.body = p1
     body = p2
+  } else if (body instanceof FormData) {
+    // copy entries so that both bodies can be modified independently, but keep
+    // the boundary already advertised in Content-Type
+    body = cloneFormData(body)
+  } else if (isReadableStream(body)) {
+    // tee WHATWG ReadableStream
+    const [s1, s2] = body.tee()
+    instance.body = s1
+    body = s2
+  } else if (isURLSearchParams(body)) {
+    // same for URLSearchParams
+    body = new URLSearchParams(body.toString())
   }
 
   return body
@@ -327,6 +536,12 @@ export function extractContentType (instance) {
   } else if (Buffer.isBuffer(body)) {
     // body is buffer
     return null
+  } else if (body instanceof FormData) {
+    // body is FormData
+    return `multipart/form-data;boundary=${getFormDataBoundary(body)}`
+  } else if (isURLSearchParams(body)) {
+    // body is URLSearchParams
+    return 'application/x-www-form-urlencoded;charset=UTF-8'
   } else if (typeof body.getBoundary === 'function') {
     // detect form data input from form-data module
     return `multipart/form-data;boundary=${body.getBoundary()}`
@@ -337,6 +552,12 @@ export function extractContentType (instance) {
   }
 }
 
+/**
+ * Get the number of bytes of the body to send, compressed if need be
+ *
+ * @param {Body} instance
+ * @return {number|null} null if unknown
+ */
 export function getTotalBytes (instance) {
   const { body } = instance
 
@@ -344,6 +565,9 @@ export function getTotalBytes (instance) {
   if (body === null) {
     // body is null
     return 0
+  } else if (instance.compress) {
+    // body is compressed on the fly: its size is not known in advance
+    return null
   } else if (typeof body === 'string') {
     // body is string
     return Buffer.byteLength(body)
@@ -353,6 +577,12 @@ export function getTotalBytes (instance) {
   } else if (Buffer.isBuffer(body)) {
     // body is buffer
     return body.length
+  } else if (body instanceof FormData) {
+    // body is FormData: every part is in memory, so its size is always known
+    return serializeFormData(body).reduce((total, chunk) => total + chunk.length, 0)
+  } else if (isURLSearchParams(body)) {
+    // body is URLSearchParams
+    return Buffer.byteLength(body.toString())
   } else if (body && typeof body.getLengthSync === 'function') {
     // detect form data input from form-data module
     // istanbul ignore next
@@ -368,26 +598,61 @@ export function getTotalBytes (instance) {
   }
 }
 
+/**
+ * Write the body of a request to a stream, compressed if need be
+ *
+ * @param {Stream} dest Writable stream, such as a ClientRequest
+ * @param {Request} instance
+ */
 export function writeToStream (dest, instance) {
   const { body } = instance
 
+  // report upload progress by counting the bytes on their way to `dest`
+  let target = dest
+  if (instance.onUploadProgress) {
+    target = createProgressStream(getTotalBytes(instance), instance.onUploadProgress)
+    target.pipe(dest)
+  }
+
+  // body is compressed on the fly, so that large bodies do not block the event loop, and sent with chunked encoding
+  let compressStream = null
+  if (instance.compress && body !== null) {
+    if (instance.useElectronNet) {
+      dest.chunkedEncoding = instance.chunkedEncoding
+    }
+    compressStream = createCompressStream(instance.compress)
+    compressStream.pipe(target)
+    target = compressStream
+  }
+
   if (body === null) {
     // body is null
-    dest.end()
+    target.end()
   } else if (typeof body === 'string') {
     // body is string
-    dest.write(body)
-    dest.end()
+    target.write(body)
+    target.end()
   } else if (body instanceof Blob) {
     // body is blob
-    dest.write(body[BUFFER])
-    dest.end()
+    target.write(body[BUFFER])
+    target.end()
   } else if (Buffer.isBuffer(body)) {
     // body is buffer
-    dest.write(body)
-    dest.end()
+    target.write(body)
+    target.end()
+  } else if (body instanceof FormData) {
+    // body is FormData
+    for (const chunk of serializeFormData(body)) {
+      target.write(chunk)
+    }
+    target.end()
+  } else if (isURLSearchParams(body)) {
+    // body is URLSearchParams
+    target.write(body.toString())
+    target.end()
   } else {
     // body is stream
+    const stream = toNodeStream(body)
     if (instance.useElectronNet) {
       dest.chunkedEncoding = instance.chunkedEncoding
 
@@ -395,7 +660,28 @@ export function writeToStream (dest, instance) {
       // will cause an error when closing the dest stream with Electron v7.
       dest.write('')
     }
-    body.pipe(new PassThrough()) // I have to put a PassThrough because somehow, FormData streams are not eaten by electron/net
-      .pipe(dest)
+    const passThrough = stream.pipe(new PassThrough()) // I have to put a PassThrough because somehow, FormData streams are not eaten by electron/net
+    if (compressStream) {
+      stream.on('error', err => compressStream.destroy(err))
+    }
+    passThrough.pipe(target)
   }
 }
+
+/**
+ * Create a stream calling `onProgress` with the number of bytes going through it
+ *
+ * @param {number|null} total Total number of bytes, if known
+ * @param {function} onProgress Executed for each chunk with `{ loaded, total }`
+ * @return {Transform}
+ */
+function createProgressStream (total, onProgress) {
+  let loaded = 0
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      loaded += chunk.length
+      callback(null, chunk)
+      onProgress({ loaded, total })
+    }
+  })
+}
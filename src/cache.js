@@ -0,0 +1,413 @@
+/**
+ * cache.js
+ *
+ * HTTP cache layer, as per https://tools.ietf.org/html/rfc9111 and the `cache`
+ * request mode of https://fetch.spec.whatwg.org/#http-network-or-cache-fetch
+ *
+ * Responses are kept in a pluggable store, which must implement:
+ * - `get(key)`: resolves to an array of `{ metadata, body }` entries (one per
+ *   Vary variant), `body()` returning a Buffer or a Readable stream
+ * - `put(key, metadata, body)`: stores `body`, a Readable stream, replacing the
+ *   entry with the same `metadata.variant`
+ * - `update(key, metadata)`: replaces the metadata of the entry with the same
+ *   `metadata.variant`, keeping its body
+ * - `delete(key)`: removes all entries
+ * and can set `shared` to true to behave as a shared cache.
+ */
+
+import Stream, { PassThrough } from 'stream'
+import Headers from './headers.js'
+import Response from './response.js'
+import FetchError from './fetch-error.js'
+import { clone, failBody } from './body.js'
+import { isReadableStream, nodeToReadableStream, readableStreamToNode } from './streams.js'
+
+export const CACHE_MODES = ['default', 'no-store', 'reload', 'no-cache', 'force-cache', 'only-if-cached']
+
+// ref: https://tools.ietf.org/html/rfc9110#section-15.1
+const HEURISTICALLY_CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501]
+
+const CONDITIONAL_HEADERS = ['if-modified-since', 'if-none-match', 'if-unmodified-since', 'if-match', 'if-range']
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'TRACE']
+
+// ref: https://tools.ietf.org/html/rfc9111#section-3.2
+const NOT_UPDATED_HEADERS = ['content-length', 'content-encoding', 'transfer-encoding', 'content-range']
+
+const noop = () => {}
+
+/**
+ * Parse a Cache-Control header value
+ *
+ * Directives without argument are set to an empty string.
+ *
+ * @param {string|null} value
+ * @return {Object}
+ */
+export function parseCacheControl (value) {
+  const directives = Object.create(null)
+  if (!value) {
+    return directives
+  }
+  const regex = /(?:^|,)\s*([^\s=,]+)\s*(?:=\s*("(?:[^"\\]|\\.)*"|[^\s,]*))?/g
+  let match
+  while ((match = regex.exec(value)) !== null) {
+    const name = match[1].toLowerCase()
+    let arg = match[2] || ''
+    if (arg[0] === '"') {
+      arg = arg.slice(1, -1).replace(/\\(.)/g, '$1')
+    }
+    if (directives[name] === undefined) directives[name] = arg
+  }
+  return directives
+}
+
+const seconds = value => {
+  const parsed = parseInt(value, 10)
+  return isNaN(parsed) ? 0 : parsed * 1000
+}
+
+const parseDate = value => {
+  const parsed = value ? Date.parse(value) : NaN
+  return isNaN(parsed) ? null : parsed
+}
+
+/**
+ * Compute how long a response stays fresh
+ * ref: https://tools.ietf.org/html/rfc9111#section-4.2.1
+ *
+ * @param {Object} metadata Cached response metadata
+ * @param {Headers} headers Cached response headers
+ * @param {boolean} shared Whether the cache is shared
+ * @return {number} Freshness lifetime in ms
+ */
+function getFreshnessLifetime (metadata, headers, shared) {
+  const cc = parseCacheControl(headers.get('Cache-Control'))
+  if (shared && cc['s-maxage'] !== undefined) {
+    return seconds(cc['s-maxage'])
+  }
+  if (cc['max-age'] !== undefined) {
+    return seconds(cc['max-age'])
+  }
+  const dateValue = parseDate(headers.get('Date')) || metadata.responseTime
+  if (headers.has('Expires')) {
+    const expires = parseDate(headers.get('Expires'))
+    // invalid dates, like "0", mean already expired
+    return expires === null ? 0 : Math.max(expires - dateValue, 0)
+  }
+  // heuristic freshness, ref: https://tools.ietf.org/html/rfc9111#section-4.2.2
+  const lastModified = parseDate(headers.get('Last-Modified'))
+  if (lastModified !== null && (cc.public !== undefined || HEURISTICALLY_CACHEABLE_STATUSES.indexOf(metadata.status) !== -1)) {
+    return Math.max(Math.floor((dateValue - lastModified) / 10), 0)
+  }
+  return 0
+}
+
+/**
+ * Compute the current age of a cached response
+ * ref: https://tools.ietf.org/html/rfc9111#section-4.2.3
+ *
+ * @param {Object} metadata Cached response metadata
+ * @param {Headers} headers Cached response headers
+ * @param {number} now
+ * @return {number} Age in ms
+ */
+function getCurrentAge (metadata, headers, now) {
+  const dateValue = parseDate(headers.get('Date')) || metadata.responseTime
+  const ageValue = seconds(headers.get('Age'))
+  const apparentAge = Math.max(metadata.responseTime - dateValue, 0)
+  const responseDelay = metadata.responseTime - metadata.requestTime
+  const correctedInitialAge = Math.max(apparentAge, ageValue + responseDelay)
+  const residentTime = now - metadata.responseTime
+  return correctedInitialAge + residentTime
+}
+
+/**
+ * Check if a cached response can be used without revalidation
+ * ref: https://tools.ietf.org/html/rfc9111#section-4.2 and section 5.2.1
+ *
+ * @param {Request} request
+ * @param {Object} metadata Cached response metadata
+ * @param {boolean} shared Whether the cache is shared
+ * @return {boolean}
+ */
+function isFresh (request, metadata, shared) {
+  const headers = new Headers(metadata.headers)
+  const cc = parseCacheControl(headers.get('Cache-Control'))
+  const requestCc = parseCacheControl(request.headers.get('Cache-Control'))
+
+  if (cc['no-cache'] !== undefined || requestCc['no-cache'] !== undefined ||
+    (!request.headers.has('Cache-Control') && /no-cache/i.test(request.headers.get('Pragma') || ''))) {
+    return false
+  }
+
+  const lifetime = getFreshnessLifetime(metadata, headers, shared)
+  const age = getCurrentAge(metadata, headers, Date.now())
+
+  if (requestCc['max-age'] !== undefined && age > seconds(requestCc['max-age'])) {
+    return false
+  }
+  if (requestCc['min-fresh'] !== undefined && lifetime - age < seconds(requestCc['min-fresh'])) {
+    return false
+  }
+  if (lifetime > age) {
+    return true
+  }
+
+  // stale responses may be used if the request allows it, unless the response forbids it
+  if (requestCc['max-stale'] !== undefined && cc['must-revalidate'] === undefined &&
+    !(shared && cc['proxy-revalidate'] !== undefined)) {
+    return requestCc['max-stale'] === '' || age - lifetime <= seconds(requestCc['max-stale'])
+  }
+  return false
+}
+
+/**
+ * Check if a response can be stored
+ * ref: https://tools.ietf.org/html/rfc9111#section-3
+ *
+ * @param {Request} request
+ * @param {Response} response
+ * @param {boolean} shared Whether the cache is shared
+ * @return {boolean}
+ */
+function isStorable (request, response, shared) {
+  const cc = parseCacheControl(response.headers.get('Cache-Control'))
+  const requestCc = parseCacheControl(request.headers.get('Cache-Control'))
+
+  if (request.method !== 'GET' || response.status === 206 || response.status === 304 ||
+    // responses obtained through redirects are not stored under the original URL
+    response.url !== request.url ||
+    cc['no-store'] !== undefined || requestCc['no-store'] !== undefined ||
+    getVaryNames(response).indexOf('*') !== -1) {
+    return false
+  }
+
+  if (shared && (cc.private !== undefined ||
+    (request.headers.has('Authorization') && cc['must-revalidate'] === undefined && cc.public === undefined && cc['s-maxage'] === undefined))) {
+    return false
+  }
+
+  const hasExplicitFreshness = response.headers.has('Expires') || cc['max-age'] !== undefined ||
+    (shared && cc['s-maxage'] !== undefined) || cc.public !== undefined
+  // without freshness information nor validators, a stored response would never be used
+  const hasValidators = response.headers.has('ETag') || response.headers.has('Last-Modified')
+  return hasExplicitFreshness || (HEURISTICALLY_CACHEABLE_STATUSES.indexOf(response.status) !== -1 && hasValidators)
+}
+
+function getVaryNames (response) {
+  return (response.headers.get('Vary') || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name)
+}
+
+/**
+ * Get the cache key of a request
+ *
+ * @param {Request} request
+ * @return {string}
+ */
+export function getCacheKey (request) {
+  return request.url.split('#')[0]
+}
+
+/**
+ * Find the stored entry matching the Vary headers of a request
+ * ref: https://tools.ietf.org/html/rfc9111#section-4.1
+ *
+ * @param {Array} entries Stored entries
+ * @param {Request} request
+ * @return {Object|null}
+ */
+function selectEntry (entries, request) {
+  return entries.find(({ metadata }) => (metadata.decoded !== false) === Boolean(request.decompress) &&
+    Object.keys(metadata.vary).every(name => metadata.vary[name] === request.headers.get(name))) || null
+}
+
+/**
+ * Create a Response from a stored entry
+ *
+ * @param {Request} request
+ * @param {Object} entry Stored entry
+ * @return {Response}
+ */
+function createCachedResponse (request, { metadata, body }) {
+  const headers = new Headers(metadata.headers)
+  headers.set('Age', String(Math.floor(getCurrentAge(metadata, headers, Date.now()) / 1000)))
+
+  let stream = body()
+  if (!(stream instanceof Stream)) {
+    stream = new PassThrough().end(stream)
+  }
+
+  return new Response(request.useWebStreams ? nodeToReadableStream(stream) : stream, {
+    url: metadata.url,
+    status: metadata.status,
+    statusText: metadata.statusText,
+    headers,
+    size: request.size,
+    timeout: request.timeout,
+    useElectronNet: request.useElectronNet
+  })
+}
+
+/**
+ * Store a response, if allowed, while passing it through to the caller
+ *
+ * @param {Request} request
+ * @param {Response} response
+ * @param {Object} store Cache store
+ * @param {number} requestTime
+ * @return {Response}
+ */
+function storeResponse (request, response, store, requestTime) {
+  if (!isStorable(request, response, store.shared)) {
+    return response
+  }
+
+  const vary = {}
+  for (const name of getVaryNames(response)) {
+    vary[name] = request.headers.get(name)
+  }
+  // bodies fetched without decompression are stored apart from decoded ones
+  const decoded = Boolean(request.decompress)
+  const metadata = {
+    url: response.url,
+    variant: `${decoded ? '' : 'raw:'}${JSON.stringify(Object.keys(vary).sort().map(name => [name, vary[name]]))}`,
+    vary,
+    decoded,
+    status: response.status,
+    statusText: response.statusText,
+    headers: Array.from(response.headers),
+    requestTime,
+    responseTime: Date.now()
+  }
+
+  // tee the body: one branch for the caller, the other one for the store
+  const source = response.body
+  let body = clone(response)
+  if (isReadableStream(body)) {
+    body = readableStreamToNode(body)
+  } else {
+    // neither copy may wait forever for a body that failed or was cancelled: pipe()
+    // does not forward errors
+    source.on('error', err => {
+      body.destroy(err)
+      failBody(response.body, err)
+    })
+    response.body.on('cancel-request', () => source.emit('cancel-request'))
+  }
+
+  store.put(getCacheKey(request), metadata, body).catch(noop)
+  return response
+}
+
+/**
+ * Merge the headers of a 304 response into the stored ones
+ * ref: https://tools.ietf.org/html/rfc9111#section-3.2
+ *
+ * @param {Array} storedHeaders Stored header pairs
+ * @param {Headers} headers Headers of the 304 response
+ * @return {Array}
+ */
+function updateHeaders (storedHeaders, headers) {
+  const updated = new Headers(storedHeaders)
+  const raw = headers.raw()
+  for (const name of Object.keys(raw)) {
+    if (NOT_UPDATED_HEADERS.indexOf(name) !== -1) continue
+    updated.delete(name)
+    for (const value of raw[name]) {
+      updated.append(name, value)
+    }
+  }
+  return Array.from(updated)
+}
+
+/**
+ * Send a request through the HTTP cache of `request.cacheStore`, as per
+ * `request.cache`
+ *
+ * @param {function} send Sends a Request, returns a promise of a Response
+ * @param {Request} request Request to send
+ * @return {Promise}
+ */
+export default function fetchWithCache (send, request) {
+  const store = request.cacheStore
+  let mode = request.cache
+
+  // fetch spec: user-provided conditional headers bypass the cache
+  if (mode === 'default' && CONDITIONAL_HEADERS.some(name => request.headers.has(name))) {
+    mode = 'no-store'
+  }
+
+  if (!store) {
+    if (mode === 'only-if-cached' && !request.useElectronNet) {
+      return Promise.reject(new TypeError('The "only-if-cached" cache mode requires the "cacheStore" option'))
+    }
+    return send(request)
+  }
+
+  const key = getCacheKey(request)
+
+  if (SAFE_METHODS.indexOf(request.method) === -1) {
+    // unsafe methods invalidate stored responses, ref: https://tools.ietf.org/html/rfc9111#section-4.4
+    return send(request).then(response => {
+      if (response.status >= 200 && response.status < 400) {
+        return Promise.resolve(store.delete(key)).catch(noop).then(() => response)
+      }
+      return response
+    })
+  }
+
+  if (request.method !== 'GET' || mode === 'no-store') {
+    return send(request)
+  }
+
+  const lookup = mode === 'reload'
+    ? Promise.resolve(null)
+    : Promise.resolve(store.get(key)).then(entries => selectEntry(entries || [], request), () => null)
+
+  return lookup.then(entry => {
+    if (!entry) {
+      if (mode === 'only-if-cached') {
+        throw new FetchError(`no cached response available for: ${request.url}`, 'cache-miss')
+      }
+      const requestTime = Date.now()
+      return send(request).then(response => storeResponse(request, response, store, requestTime))
+    }
+
+    if (mode === 'force-cache' || mode === 'only-if-cached' ||
+      (mode === 'default' && isFresh(request, entry.metadata, store.shared))) {
+      return createCachedResponse(request, entry)
+    }
+
+    // revalidate the stored response, ref: https://tools.ietf.org/html/rfc9111#section-4.3
+    const storedHeaders = new Headers(entry.metadata.headers)
+    const conditionalRequest = request.clone()
+    if (storedHeaders.has('ETag')) {
+      conditionalRequest.headers.set('If-None-Match', storedHeaders.get('ETag'))
+    }
+    if (storedHeaders.has('Last-Modified')) {
+      conditionalRequest.headers.set('If-Modified-Since', storedHeaders.get('Last-Modified'))
+    }
+
+    const requestTime = Date.now()
+    return send(conditionalRequest).then(response => {
+      if (response.status !== 304) {
+        return storeResponse(request, response, store, requestTime)
+      }
+
+      // drain the empty body of the 304 response
+      response.buffer().catch(noop)
+
+      const metadata = Object.assign({}, entry.metadata, {
+        headers: updateHeaders(entry.metadata.headers, response.headers),
+        requestTime,
+        responseTime: Date.now()
+      })
+      return Promise.resolve(store.update(key, metadata)).catch(noop)
+        .then(() => createCachedResponse(request, { metadata, body: entry.body }))
+    })
+  })
+}
@@ -0,0 +1,458 @@
+/**
+ * charset.js
+ *
+ * Detection of the character encoding of bodies, and their conversion to UTF-8,
+ * as per the WHATWG Encoding Standard
+ */
+
+import iconv from 'iconv-lite'
+import { Transform } from 'stream'
+
+// number of bytes at the start of a body in which the encoding is looked for
+const PRESCAN_LENGTH = 1024
+
+// labels of each encoding
+// ref: https://encoding.spec.whatwg.org/#names-and-labels
+const LABELS = {
+  'UTF-8': ['unicode-1-1-utf-8', 'unicode11utf8', 'unicode20utf8', 'utf-8', 'utf8', 'x-unicode20utf8'],
+  IBM866: ['866', 'cp866', 'csibm866', 'ibm866'],
+  'ISO-8859-2': ['csisolatin2', 'iso-8859-2', 'iso-ir-101', 'iso8859-2', 'iso88592', 'iso_8859-2', 'iso_8859-2:1987', 'l2', 'latin2'],
+  'ISO-8859-3': ['csisolatin3', 'iso-8859-3', 'iso-ir-109', 'iso8859-3', 'iso88593', 'iso_8859-3', 'iso_8859-3:1988', 'l3', 'latin3'],
+  'ISO-8859-4': ['csisolatin4', 'iso-8859-4', 'iso-ir-110', 'iso8859-4', 'iso88594', 'iso_8859-4', 'iso_8859-4:1988', 'l4', 'latin4'],
+  'ISO-8859-5': ['csisolatincyrillic', 'cyrillic', 'iso-8859-5', 'iso-ir-144', 'iso8859-5', 'iso88595', 'iso_8859-5', 'iso_8859-5:1988'],
+  'ISO-8859-6': ['arabic', 'asmo-708', 'csiso88596e', 'csiso88596i', 'csisolatinarabic', 'ecma-114', 'iso-8859-6', 'iso-8859-6-e', 'iso-8859-6-i', 'iso-ir-127', 'iso8859-6', 'iso88596', 'iso_8859-6', 'iso_8859-6:1987'],
+  'ISO-8859-7': ['csisolatingreek', 'ecma-118', 'elot_928', 'greek', 'greek8', 'iso-8859-7', 'iso-ir-126', 'iso8859-7', 'iso88597', 'iso_8859-7', 'iso_8859-7:1987', 'sun_eu_greek'],
+  'ISO-8859-8': ['csiso88598e', 'csisolatinhebrew', 'hebrew', 'iso-8859-8', 'iso-8859-8-e', 'iso-ir-138', 'iso8859-8', 'iso88598', 'iso_8859-8', 'iso_8859-8:1988', 'visual'],
+  'ISO-8859-8-I': ['csiso88598i', 'iso-8859-8-i', 'logical'],
+  'ISO-8859-10': ['csisolatin6', 'iso-8859-10', 'iso-ir-157', 'iso8859-10', 'iso885910', 'l6', 'latin6'],
+  'ISO-8859-13': ['iso-8859-13', 'iso8859-13', 'iso885913'],
+  'ISO-8859-14': ['iso-8859-14', 'iso8859-14', 'iso885914'],
+  'ISO-8859-15': ['csisolatin9', 'iso-8859-15', 'iso8859-15', 'iso885915', 'iso_8859-15', 'l9'],
+  'ISO-8859-16': ['iso-8859-16'],
+  'KOI8-R': ['cskoi8r', 'koi', 'koi8', 'koi8-r', 'koi8_r'],
+  'KOI8-U': ['koi8-ru', 'koi8-u'],
+  macintosh: ['csmacintosh', 'mac', 'macintosh', 'x-mac-roman'],
+  'windows-874': ['dos-874', 'iso-8859-11', 'iso8859-11', 'iso885911', 'tis-620', 'windows-874'],
+  'windows-1250': ['cp1250', 'windows-1250', 'x-cp1250'],
+  'windows-1251': ['cp1251', 'windows-1251', 'x-cp1251'],
+  'windows-1252': ['ansi_x3.4-1968', 'ascii', 'cp1252', 'cp819', 'csisolatin1', 'ibm819', 'iso-8859-1', 'iso-ir-100', 'iso8859-1', 'iso88591', 'iso_8859-1', 'iso_8859-1:1987', 'l1', 'latin1', 'us-ascii', 'windows-1252', 'x-cp1252'],
+  'windows-1253': ['cp1253', 'windows-1253', 'x-cp1253'],
+  'windows-1254': ['cp1254', 'csisolatin5', 'iso-8859-9', 'iso-ir-148', 'iso8859-9', 'iso88599', 'iso_8859-9', 'iso_8859-9:1989', 'l5', 'latin5', 'windows-1254', 'x-cp1254'],
+  'windows-1255': ['cp1255', 'windows-1255', 'x-cp1255'],
+  'windows-1256': ['cp1256', 'windows-1256', 'x-cp1256'],
+  'windows-1257': ['cp1257', 'windows-1257', 'x-cp1257'],
+  'windows-1258': ['cp1258', 'windows-1258', 'x-cp1258'],
+  'x-mac-cyrillic': ['x-mac-cyrillic', 'x-mac-ukrainian'],
+  GBK: ['chinese', 'csgb2312', 'csiso58gb231280', 'gb2312', 'gb_2312', 'gb_2312-80', 'gbk', 'iso-ir-58', 'x-gbk'],
+  gb18030: ['gb18030'],
+  Big5: ['big5', 'big5-hkscs', 'cn-big5', 'csbig5', 'x-x-big5'],
+  'EUC-JP': ['cseucpkdfmtjapanese', 'euc-jp', 'x-euc-jp'],
+  'ISO-2022-JP': ['csiso2022jp', 'iso-2022-jp'],
+  Shift_JIS: ['csshiftjis', 'ms932', 'ms_kanji', 'shift-jis', 'shift_jis', 'sjis', 'windows-31j', 'x-sjis'],
+  'EUC-KR': ['cseuckr', 'csksc56011987', 'euc-kr', 'iso-ir-149', 'korean', 'ks_c_5601-1987', 'ks_c_5601-1989', 'ksc5601', 'ksc_5601', 'windows-949'],
+  replacement: ['csiso2022kr', 'hz-gb-2312', 'iso-2022-cn', 'iso-2022-cn-ext', 'iso-2022-kr', 'replacement'],
+  'UTF-16BE': ['unicodefffe', 'utf-16be'],
+  'UTF-16LE': ['csunicode', 'iso-10646-ucs-2', 'ucs-2', 'unicode', 'unicodefeff', 'utf-16', 'utf-16le'],
+  'x-user-defined': ['x-user-defined']
+}
+
+// iconv-lite codecs of the encodings it knows under another name, or whose
+// decoder is the one of another encoding
+const CODECS = {
+  'ISO-8859-8-I': 'iso-8859-8',
+  'x-mac-cyrillic': 'maccyrillic',
+  // the GBK decoder is the gb18030 one, ref: https://hsivonen.fi/encoding-menu/
+  GBK: 'gb18030',
+  Big5: 'big5hkscs',
+  Shift_JIS: 'windows-31j',
+  'EUC-KR': 'cp949'
+}
+
+// decoders of the encodings iconv-lite does not know
+const DECODERS = {
+  // ref: https://encoding.spec.whatwg.org/#replacement
+  replacement: () => {
+    let replaced = false
+    return {
+      write: buffer => {
+        if (replaced || !buffer.length) {
+          return ''
+        }
+        replaced = true
+        return '\ufffd'
+      },
+      end: () => ''
+    }
+  },
+  // ref: https://encoding.spec.whatwg.org/#x-user-defined
+  'x-user-defined': () => ({
+    write: buffer => {
+      let text = ''
+      for (let i = 0; i < buffer.length; i++) {
+        text += String.fromCharCode(buffer[i] < 0x80 ? buffer[i] : 0xF780 + buffer[i] - 0x80)
+      }
+      return text
+    },
+    end: () => ''
+  })
+}
+
+// encodings by label, leaving out the ones that cannot be decoded (ISO-2022-JP)
+const ENCODINGS = Object.keys(LABELS).reduce((encodings, name) => {
+  if (DECODERS[name] || iconv.encodingExists(CODECS[name] || name)) {
+    LABELS[name].forEach(label => { encodings[label] = name })
+  }
+  return encodings
+}, {})
+
+const ASCII_WHITESPACE = /[\t\n\f\r ]/
+
+/**
+ * Get the encoding of a label
+ * ref: https://encoding.spec.whatwg.org/#concept-encoding-get
+ *
+ * @param {string} label
+ * @return {string|null} Name of the encoding, or null for unknown or unsupported labels
+ */
+function getEncoding (label) {
+  return ENCODINGS[label.replace(/^[\t\n\f\r ]+|[\t\n\f\r ]+$/g, '').toLowerCase()] || null
+}
+
+/**
+ * Sniff the byte order mark of a body
+ * ref: https://encoding.spec.whatwg.org/#bom-sniff
+ *
+ * @param {Buffer} head
+ * @return {Object|null} `{ encoding, length }`, or null if there is no BOM
+ */
+function sniffBOM (head) {
+  if (head.length >= 3 && head[0] === 0xEF && head[1] === 0xBB && head[2] === 0xBF) {
+    return { encoding: 'UTF-8', length: 3 }
+  }
+  if (head.length >= 2 && head[0] === 0xFE && head[1] === 0xFF) {
+    return { encoding: 'UTF-16BE', length: 2 }
+  }
+  if (head.length >= 2 && head[0] === 0xFF && head[1] === 0xFE) {
+    return { encoding: 'UTF-16LE', length: 2 }
+  }
+  return null
+}
+
+/**
+ * Get the encoding of the charset parameter of a Content-Type header
+ *
+ * Parameters are looked for anywhere in the header, to support values such as
+ * `charset=gbk; text/plain`.
+ *
+ * @param {string|null} contentType
+ * @return {string|null}
+ */
+function getHeaderEncoding (contentType) {
+  const res = contentType && /(?:^|;)[\t\n\f\r ]*charset[\t\n\f\r ]*=[\t\n\f\r ]*("[^"]*"|[^;]*)/i.exec(contentType)
+  return res ? getEncoding(res[1].replace(/^"(.*)"$/, '$1')) : null
+}
+
+/**
+ * Get an attribute of a tag
+ * ref: https://html.spec.whatwg.org/multipage/parsing.html#concept-get-attributes-when-sniffing
+ *
+ * @param {string} str Bytes of the body, as a latin1 string
+ * @param {number} position Index right after the tag name or the last attribute
+ * @return {Object} `{ attribute, position }`, attribute being `{ name, value }`, or null when there are no more attributes
+ */
+function getAttribute (str, position) {
+  const none = () => ({ attribute: null, position })
+  const found = () => ({ attribute: { name, value }, position })
+  let name = ''
+  let value = ''
+
+  while (position < str.length && (ASCII_WHITESPACE.test(str[position]) || str[position] === '/')) {
+    position++
+  }
+  if (position >= str.length || str[position] === '>') {
+    return none()
+  }
+
+  // attribute name
+  for (;;) {
+    if (position >= str.length) {
+      return none()
+    }
+    const c = str[position]
+    if (c === '=' && name !== '') {
+      position++
+      break
+    }
+    if (ASCII_WHITESPACE.test(c)) {
+      while (position < str.length && ASCII_WHITESPACE.test(str[position])) {
+        position++
+      }
+      if (str[position] !== '=') {
+        return found()
+      }
+      position++
+      break
+    }
+    if (c === '/' || c === '>') {
+      return found()
+    }
+    name += c.toLowerCase()
+    position++
+  }
+
+  // attribute value
+  while (position < str.length && ASCII_WHITESPACE.test(str[position])) {
+    position++
+  }
+  if (position >= str.length) {
+    return none()
+  }
+  const quote = str[position]
+  if (quote === '"' || quote === "'") {
+    const end = str.indexOf(quote, position + 1)
+    if (end === -1) {
+      position = str.length
+      return none()
+    }
+    value = str.slice(position + 1, end).toLowerCase()
+    position = end + 1
+    return found()
+  }
+  if (quote === '>') {
+    return found()
+  }
+  while (position < str.length && !ASCII_WHITESPACE.test(str[position]) && str[position] !== '>') {
+    value += str[position].toLowerCase()
+    position++
+  }
+  return position < str.length ? found() : none()
+}
+
+/**
+ * Extract the encoding of the `content` attribute of a meta tag
+ * ref: https://html.spec.whatwg.org/multipage/urls-and-fetching.html#algorithm-for-extracting-a-character-encoding-from-a-meta-element
+ *
+ * @param {string} content
+ * @return {string|null}
+ */
+function extractMetaEncoding (content) {
+  const lowerCase = content.toLowerCase()
+  let position = 0
+  for (;;) {
+    position = lowerCase.indexOf('charset', position)
+    if (position === -1) {
+      return null
+    }
+    position += 7
+    while (ASCII_WHITESPACE.test(content[position])) {
+      position++
+    }
+    if (content[position] === '=') {
+      break
+    }
+  }
+  position++
+  while (ASCII_WHITESPACE.test(content[position])) {
+    position++
+  }
+  if (position >= content.length) {
+    return null
+  }
+  const quote = content[position]
+  if (quote === '"' || quote === "'") {
+    const end = content.indexOf(quote, position + 1)
+    return end === -1 ? null : getEncoding(content.slice(position + 1, end))
+  }
+  const res = /^[^\t\n\f\r ;]*/.exec(content.slice(position))
+  return getEncoding(res[0])
+}
+
+/**
+ * Get the encoding declared by the meta tag starting at the given position
+ *
+ * @param {string} str Bytes of the body, as a latin1 string
+ * @param {number} position Index right after `<meta`
+ * @return {Object} `{ encoding, position }`, encoding being null if the tag does not declare a supported one
+ */
+function getMetaEncoding (str, position) {
+  const names = []
+  let gotPragma = false
+  let needPragma = null
+  let encoding
+  let attribute
+
+  for (;;) {
+    ({ attribute, position } = getAttribute(str, position))
+    if (!attribute) {
+      break
+    }
+    if (names.indexOf(attribute.name) !== -1) {
+      continue
+    }
+    names.push(attribute.name)
+    if (attribute.name === 'http-equiv') {
+      gotPragma = gotPragma || attribute.value === 'content-type'
+    } else if (attribute.name === 'content') {
+      const contentEncoding = extractMetaEncoding(attribute.value)
+      if (contentEncoding !== null && encoding === undefined) {
+        encoding = contentEncoding
+        needPragma = true
+      }
+    } else if (attribute.name === 'charset' && encoding === undefined) {
+      encoding = getEncoding(attribute.value)
+      needPragma = false
+    }
+  }
+
+  if (needPragma === null || (needPragma && !gotPragma) || !encoding) {
+    return { encoding: null, position }
+  }
+  if (encoding === 'UTF-16BE' || encoding === 'UTF-16LE') {
+    encoding = 'UTF-8'
+  } else if (encoding === 'x-user-defined') {
+    encoding = 'windows-1252'
+  }
+  return { encoding, position }
+}
+
+/**
+ * Look for the encoding declared by a meta tag of an HTML document
+ * ref: https://html.spec.whatwg.org/multipage/parsing.html#prescan-a-byte-stream-to-determine-its-encoding
+ *
+ * @param {string} str Start of the document, as a latin1 string
+ * @return {string|null}
+ */
+function prescan (str) {
+  let position = 0
+  while (position < str.length) {
+    if (str.startsWith('<!--', position)) {
+      const end = str.indexOf('-->', position + 2)
+      if (end === -1) {
+        return null
+      }
+      position = end + 2
+    } else if (/^<meta[\t\n\f\r /]/i.test(str.slice(position, position + 6))) {
+      let encoding
+      ({ encoding, position } = getMetaEncoding(str, position + 5))
+      if (encoding) {
+        return encoding
+      }
+    } else if (/^<\/?[a-z]/i.test(str.slice(position, position + 3))) {
+      // skip other tags along with their attributes
+      const res = /[\t\n\f\r >]/.exec(str.slice(position))
+      if (!res) {
+        return null
+      }
+      position += res.index
+      let attribute
+      do {
+        ({ attribute, position } = getAttribute(str, position))
+      } while (attribute)
+    } else if (str.startsWith('<!', position) || str.startsWith('</', position) || str.startsWith('<?', position)) {
+      position = str.indexOf('>', position)
+      if (position === -1) {
+        return null
+      }
+    }
+    position++
+  }
+  return null
+}
+
+/**
+ * Detect the encoding of a body
+ *
+ * In order: the byte order mark, the charset of the Content-Type header, a meta
+ * tag, and an XML declaration. Unknown or unsupported labels are ignored.
+ *
+ * @param {Buffer} head Start of the body, of at least PRESCAN_LENGTH bytes unless the body is shorter
+ * @param {Headers} headers
+ * @return {Object} `{ encoding, bomLength }`, encoding being UTF-8 if none is found
+ */
+function detectEncoding (head, headers) {
+  const bom = sniffBOM(head)
+  if (bom) {
+    return { encoding: bom.encoding, bomLength: bom.length }
+  }
+
+  const str = head.slice(0, PRESCAN_LENGTH).toString('latin1')
+  let encoding = getHeaderEncoding(headers.get('content-type')) || prescan(str)
+
+  if (!encoding) {
+    const res = /^<\?xml[^>]*?[\t\n\r ]encoding[\t\n\r ]*=[\t\n\r ]*(['"])(.*?)\1/.exec(str)
+    encoding = res && getEncoding(res[2])
+  }
+
+  return { encoding: encoding || 'UTF-8', bomLength: 0 }
+}
+
+/**
+ * Get a decoder of an encoding
+ *
+ * @param {string} encoding
+ * @return {Object} `{ write(buffer), end() }`, returning the decoded strings
+ */
+function getDecoder (encoding) {
+  if (DECODERS[encoding]) {
+    return DECODERS[encoding]()
+  }
+  // byte order marks are handled by detectEncoding()
+  return iconv.getDecoder(CODECS[encoding] || encoding, { stripBOM: false })
+}
+
+/**
+ * Convert a whole body to UTF-8
+ *
+ * @param {Buffer} buffer
+ * @param {Headers} headers
+ * @return {Object} `{ text, encoding }`, encoding being the name of the detected encoding
+ */
+export default function convertBody (buffer, headers) {
+  const { encoding, bomLength } = detectEncoding(buffer, headers)
+  const decoder = getDecoder(encoding)
+  return { text: decoder.write(buffer.slice(bomLength)) + (decoder.end() || ''), encoding }
+}
+
+/**
+ * Create a stream converting a body to UTF-8 as it is read
+ *
+ * The first PRESCAN_LENGTH bytes are buffered to detect the encoding, the rest
+ * of the body being converted chunk by chunk.
+ *
+ * @param {Headers} headers
+ * @param {function} [onEncoding] Called with the name of the detected encoding
+ * @return {Transform} Writable of Buffers, readable as UTF-8 strings
+ */
+export function createCharsetDecoder (headers, onEncoding) {
+  let head = []
+  let headLength = 0
+  let decoder = null
+
+  const start = () => {
+    const buffer = Buffer.concat(head, headLength)
+    const { encoding, bomLength } = detectEncoding(buffer, headers)
+    head = null
+    decoder = getDecoder(encoding)
+    if (onEncoding) {
+      onEncoding(encoding)
+    }
+    return decoder.write(buffer.slice(bomLength))
+  }
+
+  return new Transform({
+    encoding: 'utf8',
+    transform (chunk, encoding, callback) {
+      if (decoder) {
+        callback(null, decoder.write(chunk))
+        return
+      }
+      head.push(chunk)
+      headLength += chunk.length
+      callback(null, headLength >= PRESCAN_LENGTH ? start() : undefined)
+    },
+    flush (callback) {
+      const text = decoder ? '' : start()
+      callback(null, text + (decoder.end() || ''))
+    }
+  })
+}
@@ -0,0 +1,290 @@
+/**
+ * content-encoding.js
+ *
+ * Decoding of response bodies as per their Content-Encoding header, and
+ * encoding of request bodies
+ */
+
+import * as zlib from 'zlib'
+import { Transform } from 'stream'
+import FetchError from './fetch-error.js'
+
+/**
+ * Create a deflate decoder, handling the infamous raw deflate responses from
+ * old servers (a hack for old IIS and Apache servers)
+ *
+ * @return {Transform}
+ */
+function createInflate () {
+  let inflate = null
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      if (!inflate) {
+        if (!chunk.length) {
+          callback()
+          return
+        }
+        // see http://stackoverflow.com/questions/37519828
+        inflate = (chunk[0] & 0x0F) === 0x08 ? zlib.createInflate() : zlib.createInflateRaw()
+        inflate.on('data', data => this.push(data))
+        inflate.on('error', err => this.destroy(err))
+      }
+      inflate.write(chunk, () => callback())
+    },
+    flush (callback) {
+      if (!inflate) {
+        callback()
+        return
+      }
+      inflate.once('end', () => callback())
+      inflate.end()
+    }
+  })
+}
+
+// Body decoders of lenient decoding, by actual coding. `zlib` is deflate with a zlib wrapper
+const LENIENT_DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  zlib: () => zlib.createInflate(),
+  'deflate-raw': () => zlib.createInflateRaw()
+}
+// istanbul ignore else: brotli is supported since Node.js 11.7
+if (zlib.createBrotliDecompress) {
+  LENIENT_DECODERS.br = () => zlib.createBrotliDecompress()
+}
+// istanbul ignore next: zstd is supported since Node.js 22.15
+if (zlib.createZstdDecompress) {
+  LENIENT_DECODERS.zstd = () => zlib.createZstdDecompress()
+}
+
+// number of bytes needed to recognize a coding
+const MAGIC_LENGTH = 4
+
+/**
+ * Recognize the coding of a body from its first bytes
+ *
+ * @param {Buffer} head
+ * @return {string|null} `gzip`, `zstd` or `zlib`, or null if not recognized
+ */
+function sniffCoding (head) {
+  if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) {
+    return 'gzip'
+  }
+  if (head.length >= 4 && head.readUInt32LE(0) === 0xFD2FB528) {
+    return 'zstd'
+  }
+  // see http://stackoverflow.com/questions/37519828
+  if (head.length >= 2 && (head[0] & 0x0F) === 0x08 && ((head[0] << 8) | head[1]) % 31 === 0) {
+    return 'zlib'
+  }
+  return null
+}
+
+/**
+ * Choose how to decode a body, given its declared coding and its first bytes
+ *
+ * Magic numbers of gzip and zstd are trusted over the declared coding. Brotli
+ * has none, so a body declared as such is always decoded as brotli.
+ *
+ * @param {string} coding Declared coding
+ * @param {Buffer} head
+ * @return {string|null} Key of LENIENT_DECODERS, or null to leave the body as is
+ */
+function selectLenientDecoder (coding, head) {
+  const detected = sniffCoding(head)
+  let actual
+  if (detected === 'gzip' || detected === 'zstd') {
+    actual = detected
+  } else if (coding === 'deflate') {
+    actual = detected === 'zlib' ? 'zlib' : 'deflate-raw'
+  } else if (coding === 'br') {
+    actual = 'br'
+  } else {
+    actual = detected
+  }
+  return LENIENT_DECODERS[actual] ? actual : null
+}
+
+/**
+ * Create a decoder tolerating sloppy bodies, as browsers do
+ *
+ * A body that is not encoded with its declared coding is decoded as per its
+ * first bytes, or left as is. Errors, such as a premature end of the body, end
+ * it after the bytes decoded so far. Both are reported to `onWarning`.
+ *
+ * @param {string} coding Declared coding
+ * @param {Object} options
+ * @param {string} options.url URL of the response, for warning messages
+ * @param {function} options.onWarning Called with a FetchError of type `invalid-content-encoding` for each anomaly
+ * @return {Transform}
+ */
+function createLenientDecoder (coding, { url, onWarning }) {
+  coding = coding.replace(/^x-/, '')
+  const warn = message => onWarning(new FetchError(`${message} at: ${url}`, 'invalid-content-encoding'))
+
+  let head = Buffer.alloc(0)
+  let decoder
+  let failed = false
+  // callback of the chunk being decoded, which the decoder does not call once it failed
+  let pending = null
+
+  const start = stream => {
+    const actual = selectLenientDecoder(coding, head)
+    if (actual !== coding && !(coding === 'deflate' && (actual === 'zlib' || actual === 'deflate-raw'))) {
+      warn(actual
+        ? `body declared as ${coding} is encoded with ${actual === 'zlib' ? 'deflate' : actual}`
+        : `body declared as ${coding} is not encoded with a supported coding`)
+    }
+    decoder = actual ? LENIENT_DECODERS[actual]() : null
+    if (decoder) {
+      decoder.on('data', data => stream.push(data))
+      decoder.on('error', err => {
+        failed = true
+        warn(`body could not be decoded entirely (${err.message})`)
+        if (pending) pending()
+      })
+    }
+  }
+
+  const decode = (chunk, callback) => {
+    if (!decoder) {
+      callback(null, chunk)
+    } else if (failed) {
+      callback()
+    } else {
+      pending = callback
+      decoder.write(chunk, () => {
+        pending = null
+        callback()
+      })
+    }
+  }
+
+  const end = callback => {
+    if (!decoder || failed) {
+      callback()
+      return
+    }
+    decoder.once('end', () => callback())
+    decoder.once('error', () => callback())
+    // flush the decoder first, so that ending a truncated body does not discard its last decoded bytes
+    decoder.flush(() => decoder.end())
+  }
+
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      if (decoder === undefined) {
+        head = Buffer.concat([head, chunk])
+        if (head.length < MAGIC_LENGTH) {
+          callback()
+          return
+        }
+        start(this)
+        chunk = head
+      }
+      decode(chunk, callback)
+    },
+    flush (callback) {
+      if (decoder !== undefined) {
+        end(callback)
+        return
+      }
+      // empty bodies are tolerated as such, as some servers send them along with a Content-Encoding
+      if (!head.length) {
+        callback()
+        return
+      }
+      // bodies shorter than MAGIC_LENGTH
+      start(this)
+      if (!decoder) {
+        callback(null, head)
+        return
+      }
+      decode(head, () => end(callback))
+    }
+  })
+}
+
+const DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: createInflate,
+  'x-deflate': createInflate
+}
+// istanbul ignore else: brotli is supported since Node.js 11.7
+if (zlib.createBrotliDecompress) {
+  DECODERS.br = () => zlib.createBrotliDecompress()
+}
+// istanbul ignore next: zstd is supported since Node.js 22.15
+if (zlib.createZstdDecompress) {
+  DECODERS.zstd = () => zlib.createZstdDecompress()
+}
+
+const ENCODERS = {
+  gzip: () => zlib.createGzip(),
+  deflate: () => zlib.createDeflate()
+}
+// istanbul ignore else: brotli is supported since Node.js 11.7
+if (zlib.createBrotliCompress) {
+  // the default quality (11) is meant for static content, and is about a hundred times slower than gzip
+  ENCODERS.br = () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })
+}
+
+/**
+ * Codings supported by the `compress` option of requests
+ */
+export const COMPRESS_CODINGS = Object.keys(ENCODERS)
+
+/**
+ * Create a stream compressing a body
+ *
+ * @param {string} coding One of COMPRESS_CODINGS
+ * @return {Transform}
+ */
+export function createCompressStream (coding) {
+  return ENCODERS[coding]()
+}
+
+/**
+ * Value of the Accept-Encoding request header, listing the supported codings
+ */
+export const ACCEPT_ENCODING = ['gzip', 'deflate', 'br', 'zstd'].filter(coding => DECODERS[coding]).join(',')
+
+/**
+ * Parse a Content-Encoding header value
+ *
+ * @param {string} value
+ * @return {string[]} Codings, in the order they were applied
+ */
+export function parseContentEncoding (value) {
+  return value.split(',')
+    .map(coding => coding.trim().toLowerCase())
+    .filter(coding => coding && coding !== 'identity')
+}
+
+/**
+ * Decode a response body
+ *
+ * Stacked codings are removed in the reverse order they were applied. If any
+ * of them is not supported, the body is left as is.
+ *
+ * @param {Stream} body Readable stream
+ * @param {string} contentEncoding Content-Encoding header value
+ * @param {Object} [options]
+ * @param {boolean} [options.lenient] Tolerate sloppy bodies, see createLenientDecoder()
+ * @param {string} [options.url] URL of the response
+ * @param {function} [options.onWarning] Called with the anomalies tolerated in lenient mode
+ * @return {Stream} Decoded body, emitting the errors of `body` as well
+ */
+export default function decodeBody (body, contentEncoding, options = {}) {
+  const codings = parseContentEncoding(contentEncoding)
+  if (codings.some(coding => !DECODERS[coding])) {
+    return body
+  }
+
+  return codings.reverse().reduce((stream, coding) => {
+    const decoder = options.lenient ? createLenientDecoder(coding, options) : DECODERS[coding]()
+    stream.on('error', err => decoder.destroy(err))
+    return stream.pipe(decoder)
+  }, body)
+}
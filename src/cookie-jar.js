@@ -0,0 +1,542 @@
+/**
+ * cookie-jar.js
+ *
+ * Cookie storage, as per https://tools.ietf.org/html/rfc6265, along with the
+ * Secure, SameSite and cookie prefixes rules of draft-ietf-httpbis-rfc6265bis
+ */
+
+import { isIP } from 'net'
+import psl from 'psl'
+// eslint-disable-next-line n/no-deprecated-api
+import { parse as parseURL } from 'url'
+
+const COOKIES = Symbol('cookies')
+
+const JSON_VERSION = 1
+
+// maximum date, as per https://tools.ietf.org/html/rfc6265#section-5.2.2
+const MAX_TIME = 8.64e15
+
+/**
+ * Default public suffix check, against the Public Suffix List (https://publicsuffix.org)
+ *
+ * Single-label domains, listed or not, are always public suffixes.
+ *
+ * @param {string} domain Canonicalized domain
+ * @return {boolean}
+ */
+function defaultIsPublicSuffix (domain) {
+  return domain.indexOf('.') === -1 || psl.get(domain) === null
+}
+
+/**
+ * Parse a cookie date
+ * ref: https://tools.ietf.org/html/rfc6265#section-5.1.1
+ *
+ * @param {string} value
+ * @return {number|null} Time in ms
+ */
+export function parseCookieDate (value) {
+  let time = null
+  let day = null
+  let month = null
+  let year = null
+  for (const token of value.split(/[\t\x20-\x2F\x3B-\x40\x5B-\x60\x7B-\x7E]+/)) {
+    let match
+    if (time === null && (match = /^(\d{1,2}):(\d{1,2}):(\d{1,2})(?:\D|$)/.exec(token))) {
+      time = match.slice(1).map(Number)
+    } else if (day === null && (match = /^(\d{1,2})(?:\D|$)/.exec(token))) {
+      day = Number(match[1])
+    } else if (month === null && (match = /^(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i.exec(token))) {
+      month = 'janfebmaraprmayjunjulaugsepoctnovdec'.indexOf(match[1].toLowerCase()) / 3
+    } else if (year === null && (match = /^(\d{2,4})(?:\D|$)/.exec(token))) {
+      year = Number(match[1])
+    }
+  }
+  if (year !== null && year >= 70 && year <= 99) year += 1900
+  if (year !== null && year >= 0 && year <= 69) year += 2000
+  if (time === null || day === null || month === null || year === null ||
+    day < 1 || day > 31 || year < 1601 || time[0] > 23 || time[1] > 59 || time[2] > 59) {
+    return null
+  }
+  const date = Date.UTC(year, month, day, time[0], time[1], time[2])
+  // reject days that do not exist in the given month, e.g. Feb 31
+  return new Date(date).getUTCDate() === day ? date : null
+}
+
+/**
+ * Parse a Set-Cookie header value
+ * ref: https://tools.ietf.org/html/rfc6265#section-5.2
+ *
+ * @param {string} setCookie
+ * @return {Object|null} Cookie name, value and attributes, or null if invalid
+ */
+export function parseSetCookie (setCookie) {
+  const [pair, ...attributes] = String(setCookie).split(';')
+  const separator = pair.indexOf('=')
+  if (separator === -1) {
+    return null
+  }
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    expires: null,
+    maxAge: null,
+    domain: null,
+    path: null,
+    secure: false,
+    httpOnly: false,
+    sameSite: null
+  }
+  if (!cookie.name) {
+    return null
+  }
+
+  for (const attribute of attributes) {
+    const index = attribute.indexOf('=')
+    const name = (index === -1 ? attribute : attribute.slice(0, index)).trim().toLowerCase()
+    const value = index === -1 ? '' : attribute.slice(index + 1).trim()
+    switch (name) {
+      case 'expires': {
+        const expires = parseCookieDate(value)
+        if (expires !== null) cookie.expires = expires
+        break
+      }
+      case 'max-age':
+        if (/^-?\d+$/.test(value)) cookie.maxAge = parseInt(value, 10)
+        break
+      case 'domain':
+        if (value) cookie.domain = value.replace(/^\./, '').toLowerCase()
+        break
+      case 'path':
+        cookie.path = value[0] === '/' ? value : null
+        break
+      case 'secure':
+        cookie.secure = true
+        break
+      case 'httponly':
+        cookie.httpOnly = true
+        break
+      case 'samesite':
+        cookie.sameSite = ['strict', 'lax', 'none'].indexOf(value.toLowerCase()) !== -1 ? value.toLowerCase() : null
+        break
+    }
+  }
+  return cookie
+}
+
+/**
+ * Domain matching
+ * ref: https://tools.ietf.org/html/rfc6265#section-5.1.3
+ *
+ * @param {string} host Canonicalized host name
+ * @param {string} domain Cookie domain
+ * @return {boolean}
+ */
+function domainMatch (host, domain) {
+  return host === domain ||
+    (host.endsWith(`.${domain}`) && !isIP(host))
+}
+
+/**
+ * Default cookie path of a request path
+ * ref: https://tools.ietf.org/html/rfc6265#section-5.1.4
+ *
+ * @param {string} path
+ * @return {string}
+ */
+function defaultPath (path) {
+  if (!path || path[0] !== '/') {
+    return '/'
+  }
+  const index = path.lastIndexOf('/')
+  return index === 0 ? '/' : path.slice(0, index)
+}
+
+/**
+ * Path matching
+ * ref: https://tools.ietf.org/html/rfc6265#section-5.1.4
+ *
+ * @param {string} path Request path
+ * @param {string} cookiePath
+ * @return {boolean}
+ */
+function pathMatch (path, cookiePath) {
+  return path === cookiePath ||
+    (path.startsWith(cookiePath) && (cookiePath.endsWith('/') || path[cookiePath.length] === '/'))
+}
+
+/**
+ * Validate and normalize a cookie object, e.g. read from JSON
+ *
+ * @param {Object} cookie
+ * @return {Object|null}
+ */
+function normalizeCookie (cookie) {
+  if (!cookie || typeof cookie.name !== 'string' || !cookie.name ||
+    typeof cookie.value !== 'string' || typeof cookie.domain !== 'string' || !cookie.domain ||
+    typeof cookie.path !== 'string' || cookie.path[0] !== '/' ||
+    (cookie.expires != null && typeof cookie.expires !== 'number')) {
+    return null
+  }
+  const now = Date.now()
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain.replace(/^\./, '').toLowerCase(),
+    path: cookie.path,
+    expires: cookie.expires != null ? cookie.expires : null,
+    secure: Boolean(cookie.secure),
+    httpOnly: Boolean(cookie.httpOnly),
+    sameSite: ['strict', 'lax', 'none'].indexOf(cookie.sameSite) !== -1 ? cookie.sameSite : 'lax',
+    hostOnly: Boolean(cookie.hostOnly),
+    creationTime: typeof cookie.creationTime === 'number' ? cookie.creationTime : now,
+    lastAccessTime: typeof cookie.lastAccessTime === 'number' ? cookie.lastAccessTime : now
+  }
+}
+
+/**
+ * Convert a cookie to the details expected by Electron's `cookies.set()`
+ * ref: https://www.electronjs.org/docs/latest/api/cookies#cookiessetdetails
+ *
+ * @param {Object} cookie
+ * @return {Object}
+ */
+function toElectronCookie (cookie) {
+  const details = {
+    url: `${cookie.secure ? 'https' : 'http'}://${cookie.domain}${cookie.path}`,
+    name: cookie.name,
+    value: cookie.value,
+    path: cookie.path,
+    secure: cookie.secure,
+    httpOnly: cookie.httpOnly,
+    sameSite: cookie.sameSite === 'none' ? 'no_restriction' : cookie.sameSite
+  }
+  // Electron makes cookies with a domain valid for subdomains
+  if (!cookie.hostOnly) details.domain = cookie.domain
+  if (cookie.expires !== null) details.expirationDate = cookie.expires / 1000
+  return details
+}
+
+/**
+ * Convert an Electron cookie to a cookie of the jar
+ * ref: https://www.electronjs.org/docs/latest/api/structures/cookie
+ *
+ * @param {Object} electronCookie
+ * @return {Object|null}
+ */
+function fromElectronCookie (electronCookie) {
+  return normalizeCookie({
+    name: electronCookie.name,
+    value: electronCookie.value,
+    domain: electronCookie.domain,
+    path: electronCookie.path,
+    expires: electronCookie.session || electronCookie.expirationDate == null
+      ? null
+      : Math.round(electronCookie.expirationDate * 1000),
+    secure: electronCookie.secure,
+    httpOnly: electronCookie.httpOnly,
+    sameSite: electronCookie.sameSite === 'no_restriction' ? 'none' : electronCookie.sameSite,
+    hostOnly: electronCookie.hostOnly !== undefined
+      ? electronCookie.hostOnly
+      : electronCookie.domain[0] !== '.'
+  })
+}
+
+export default class CookieJar {
+  /**
+   * @param {Object} [options]
+   * @param {function} [options.isPublicSuffix] Returns true if the given domain is a public suffix, such as `co.uk`
+   */
+  constructor ({ isPublicSuffix = defaultIsPublicSuffix } = {}) {
+    this.isPublicSuffix = isPublicSuffix
+    this[COOKIES] = []
+
+    Object.defineProperty(this, Symbol.toStringTag, {
+      value: 'CookieJar',
+      writable: false,
+      enumerable: false,
+      configurable: true
+    })
+  }
+
+  /**
+   * Get the site of a host, i.e. its registrable domain
+   *
+   * @param {string} host Canonicalized host name
+   * @return {string}
+   */
+  getSite (host) {
+    if (isIP(host)) {
+      return host
+    }
+    const labels = host.split('.')
+    for (let i = 1; i < labels.length; i++) {
+      if (this.isPublicSuffix(labels.slice(i).join('.'))) {
+        return labels.slice(i - 1).join('.')
+      }
+    }
+    return host
+  }
+
+  /**
+   * Store a cookie received in a Set-Cookie header
+   * ref: https://tools.ietf.org/html/rfc6265#section-5.3
+   *
+   * @param {string} setCookie Set-Cookie header value
+   * @param {string} url URL of the request the cookie was received for
+   * @param {Object} [options]
+   * @param {boolean} [options.http] Whether the cookie was received through HTTP, as opposed to a script
+   * @return {Object|null} The stored cookie, or null if it was rejected
+   */
+  setCookie (setCookie, url, { http = true } = {}) {
+    const parsed = parseSetCookie(setCookie)
+    const { protocol, hostname, pathname } = parseURL(url)
+    if (!parsed || !hostname) {
+      return null
+    }
+    const host = hostname.toLowerCase()
+    const secureOrigin = protocol === 'https:'
+    const now = Date.now()
+
+    const cookie = {
+      name: parsed.name,
+      value: parsed.value,
+      domain: host,
+      path: parsed.path || defaultPath(pathname),
+      expires: null,
+      secure: parsed.secure,
+      httpOnly: parsed.httpOnly,
+      sameSite: parsed.sameSite || 'lax',
+      hostOnly: true,
+      creationTime: now,
+      lastAccessTime: now
+    }
+
+    if (parsed.maxAge !== null) {
+      cookie.expires = parsed.maxAge <= 0 ? 0 : Math.min(now + parsed.maxAge * 1000, MAX_TIME)
+    } else if (parsed.expires !== null) {
+      cookie.expires = parsed.expires
+    }
+
+    if (parsed.domain !== null) {
+      if (this.isPublicSuffix(parsed.domain)) {
+        // public suffixes can only be used as host-only cookie domains
+        if (parsed.domain !== host) return null
+      } else {
+        if (!domainMatch(host, parsed.domain)) return null
+        cookie.domain = parsed.domain
+        cookie.hostOnly = false
+      }
+    }
+
+    if ((cookie.httpOnly && !http) ||
+      // secure cookies can only be set from secure origins
+      (cookie.secure && !secureOrigin) ||
+      (cookie.sameSite === 'none' && !cookie.secure) ||
+      (cookie.name.startsWith('__Secure-') && !cookie.secure) ||
+      (cookie.name.startsWith('__Host-') && (!cookie.secure || !cookie.hostOnly || cookie.path !== '/'))) {
+      return null
+    }
+
+    const cookies = this[COOKIES]
+    const index = cookies.findIndex(c => c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path)
+    if (index !== -1) {
+      const old = cookies[index]
+      // non-secure origins cannot overwrite secure cookies, nor scripts http-only ones
+      if ((old.secure && !secureOrigin) || (old.httpOnly && !http)) {
+        return null
+      }
+      cookie.creationTime = old.creationTime
+      cookies.splice(index, 1)
+    }
+
+    if (cookie.expires !== null && cookie.expires <= now) {
+      return null
+    }
+    cookies.push(cookie)
+    return cookie
+  }
+
+  /**
+   * Store the cookies of Set-Cookie response headers
+   *
+   * @param {string|Array.<string>} setCookies Set-Cookie header values
+   * @param {string} url URL of the request the cookies were received for
+   */
+  setCookies (setCookies, url) {
+    if (!setCookies) return
+    for (const setCookie of Array.isArray(setCookies) ? setCookies : [setCookies]) {
+      this.setCookie(setCookie, url)
+    }
+  }
+
+  /**
+   * Get the cookies to send with a request
+   * ref: https://tools.ietf.org/html/rfc6265#section-5.4
+   *
+   * SameSite cookies are sent if the request URL belongs to the same site as
+   * `siteForCookies`, and Lax ones also for cross-site requests with a safe
+   * method.
+   *
+   * @param {string} url Request URL
+   * @param {Object} [options]
+   * @param {boolean} [options.http] Whether the cookies are sent through HTTP, as opposed to read by a script
+   * @param {string} [options.siteForCookies] URL of the site initiating the request, defaults to `url`
+   * @param {string} [options.method] Request method
+   * @return {Array.<Object>}
+   */
+  getCookies (url, { http = true, siteForCookies = url, method = 'GET' } = {}) {
+    const { protocol, hostname, pathname } = parseURL(url)
+    if (!hostname) {
+      return []
+    }
+    const host = hostname.toLowerCase()
+    const path = pathname || '/'
+    const now = Date.now()
+
+    const siteHost = (parseURL(siteForCookies).hostname || '').toLowerCase()
+    const sameSite = this.getSite(host) === this.getSite(siteHost)
+    const safeMethod = ['GET', 'HEAD', 'OPTIONS', 'TRACE'].indexOf(method.toUpperCase()) !== -1
+
+    this[COOKIES] = this[COOKIES].filter(cookie => cookie.expires === null || cookie.expires > now)
+    return this[COOKIES]
+      .filter(cookie => (cookie.hostOnly ? host === cookie.domain : domainMatch(host, cookie.domain)) &&
+        pathMatch(path, cookie.path) &&
+        (!cookie.secure || protocol === 'https:') &&
+        (!cookie.httpOnly || http) &&
+        (sameSite || cookie.sameSite === 'none' || (cookie.sameSite === 'lax' && safeMethod)))
+      .sort((a, b) => b.path.length - a.path.length || a.creationTime - b.creationTime)
+      .map(cookie => {
+        cookie.lastAccessTime = now
+        return cookie
+      })
+  }
+
+  /**
+   * Get the Cookie header value to send with a request
+   *
+   * @param {string} url Request URL
+   * @param {Object} [options] See `getCookies`
+   * @return {string}
+   */
+  getCookieString (url, options = {}) {
+    return this.getCookies(url, options)
+      .map(({ name, value }) => `${name}=${value}`)
+      .join('; ')
+  }
+
+  /**
+   * Get all the cookies of the jar, expired ones excepted
+   *
+   * @return {Array.<Object>}
+   */
+  getAllCookies () {
+    const now = Date.now()
+    this[COOKIES] = this[COOKIES].filter(cookie => cookie.expires === null || cookie.expires > now)
+    return this[COOKIES].slice()
+  }
+
+  /**
+   * Store a cookie object as is, replacing the one with the same name, domain and path
+   *
+   * @param {Object} cookie Cookie, as returned by `getCookies`
+   * @return {Object|null} The stored cookie, or null if it is invalid
+   */
+  putCookie (cookie) {
+    cookie = normalizeCookie(cookie)
+    if (!cookie) {
+      return null
+    }
+    const cookies = this[COOKIES]
+    const index = cookies.findIndex(c => c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path)
+    if (index !== -1) {
+      cookies.splice(index, 1)
+    }
+    if (cookie.expires !== null && cookie.expires <= Date.now()) {
+      return null
+    }
+    cookies.push(cookie)
+    return cookie
+  }
+
+  /**
+   * Remove all cookies
+   */
+  removeAllCookies () {
+    this[COOKIES] = []
+  }
+
+  /**
+   * Serialize the jar, called by `JSON.stringify()`
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSessionCookies] Whether to include cookies without expiry
+   * @return {Object}
+   */
+  toJSON ({ includeSessionCookies = true } = {}) {
+    return {
+      version: JSON_VERSION,
+      cookies: this.getAllCookies().filter(cookie => includeSessionCookies || cookie.expires !== null)
+    }
+  }
+
+  /**
+   * Create a jar from its serialized form
+   *
+   * Invalid and expired cookies are ignored.
+   *
+   * @param {string|Object} json Result of `toJSON()`, or its JSON string
+   * @param {Object} [options] CookieJar constructor options
+   * @return {CookieJar}
+   */
+  static fromJSON (json, options = {}) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json
+    if (!data || data.version !== JSON_VERSION || !Array.isArray(data.cookies)) {
+      throw new TypeError(`Invalid serialized cookie jar, expected version ${JSON_VERSION}`)
+    }
+    const jar = new CookieJar(options)
+    for (const cookie of data.cookies) {
+      jar.putCookie(cookie)
+    }
+    return jar
+  }
+
+  /**
+   * Copy cookies to an Electron session
+   *
+   * @param {Session} session Electron session
+   * @param {string} [url] Only copy the cookies sent to this URL
+   * @return {Promise}
+   */
+  exportToSession (session, url = undefined) {
+    const cookies = url !== undefined ? this.getCookies(url) : this.getAllCookies()
+    return Promise.all(cookies.map(cookie => session.cookies.set(toElectronCookie(cookie)))).then(() => {})
+  }
+
+  /**
+   * Copy cookies from an Electron session
+   *
+   * @param {Session} session Electron session
+   * @param {string} [url] Only copy the cookies sent to this URL
+   * @return {Promise}
+   */
+  importFromSession (session, url = undefined) {
+    return session.cookies.get(url !== undefined ? { url } : {}).then(electronCookies => {
+      for (const electronCookie of electronCookies) {
+        const cookie = fromElectronCookie(electronCookie)
+        if (!cookie) continue
+        const existing = this[COOKIES].find(c => c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path)
+        if (existing) cookie.creationTime = existing.creationTime
+        this.putCookie(cookie)
+      }
+    })
+  }
+}
+
+Object.defineProperty(CookieJar.prototype, Symbol.toStringTag, {
+  value: 'CookieJar',
+  writable: false,
+  enumerable: false,
+  configurable: true
+})
@@ -0,0 +1,386 @@
+/**
+ * disk-cache-store.js
+ *
+ * Disk-backed store for the HTTP cache: bodies are streamed to content-addressed
+ * files, and metadata is kept in an index file
+ *
+ * Layout of the cache directory:
+ * - `index.json`: metadata, integrity, size and access time of each entry
+ * - `content/<sha256>`: bodies, named after their hash so that identical bodies are stored once
+ * - `tmp/`: bodies being written, moved to `content/` once complete
+ */
+
+import * as fs from 'fs'
+import * as path from 'path'
+import { createHash, randomBytes } from 'crypto'
+import { Transform } from 'stream'
+
+const INDEX_VERSION = 1
+
+const INDEX = Symbol('index')
+const QUEUE = Symbol('queue')
+
+const noop = () => {}
+
+/**
+ * Call a Node.js callback-style function, returning a promise
+ *
+ * @param {function} fn
+ * @param {...*} args
+ * @return {Promise}
+ */
+function call (fn, ...args) {
+  return new Promise((resolve, reject) => fn(...args, (err, result) => err ? reject(err) : resolve(result)))
+}
+
+function ignoreMissing (err) {
+  if (err.code !== 'ENOENT') throw err
+}
+
+/**
+ * Create a directory and its missing parents
+ *
+ * @param {string} dir
+ * @return {Promise}
+ */
+function mkdirp (dir) {
+  return call(fs.mkdir, dir).catch(err => {
+    if (err.code === 'EEXIST') return
+    if (err.code !== 'ENOENT' || path.dirname(dir) === dir) throw err
+    return mkdirp(path.dirname(dir)).then(() => mkdirp(dir))
+  })
+}
+
+/**
+ * Write a file atomically, by renaming a temporary file over it
+ *
+ * @param {string} file
+ * @param {string} data
+ * @return {Promise}
+ */
+function writeFileAtomic (file, data) {
+  const tmpFile = `${file}.${randomBytes(8).toString('hex')}.tmp`
+  return call(fs.writeFile, tmpFile, data)
+    .then(() => call(fs.rename, tmpFile, file))
+    .catch(err => call(fs.unlink, tmpFile).catch(noop).then(() => { throw err }))
+}
+
+function getContentPath (store, integrity) {
+  const hex = Buffer.from(integrity.slice('sha256-'.length), 'base64').toString('hex')
+  return path.join(store.path, 'content', hex.slice(0, 2), hex.slice(2))
+}
+
+/**
+ * Load the index on first use
+ *
+ * A missing, corrupted or outdated index results in an empty cache.
+ *
+ * @param {DiskCacheStore} store
+ * @return {Promise} Resolves to a Map of keys to arrays of records
+ */
+function getIndex (store) {
+  if (!store[INDEX]) {
+    store[INDEX] = call(fs.readFile, path.join(store.path, 'index.json'), 'utf8')
+      .then(data => {
+        const parsed = JSON.parse(data)
+        return parsed.version === INDEX_VERSION ? new Map(parsed.entries) : new Map()
+      })
+      .catch(() => new Map())
+  }
+  return store[INDEX]
+}
+
+/**
+ * Queue a write of the index, so that writes never interleave
+ *
+ * @param {DiskCacheStore} store
+ * @param {Map} index
+ * @return {Promise}
+ */
+function saveIndex (store, index) {
+  const data = JSON.stringify({ version: INDEX_VERSION, entries: Array.from(index) })
+  const write = store[QUEUE]
+    .then(() => mkdirp(store.path))
+    .then(() => writeFileAtomic(path.join(store.path, 'index.json'), data))
+  store[QUEUE] = write.catch(noop)
+  return write
+}
+
+/**
+ * Remove records from the index, deleting the bodies no other record refers to
+ *
+ * @param {DiskCacheStore} store
+ * @param {Map} index
+ * @param {function} predicate Called with (record, key), returns true to remove the record
+ * @return {Promise}
+ */
+function removeRecords (store, index, predicate) {
+  const removed = []
+  for (const [key, records] of Array.from(index)) {
+    const kept = records.filter(record => {
+      if (!predicate(record, key)) return true
+      removed.push(record)
+      return false
+    })
+    if (kept.length) {
+      index.set(key, kept)
+    } else {
+      index.delete(key)
+    }
+  }
+
+  const referenced = new Set()
+  for (const records of index.values()) {
+    for (const record of records) referenced.add(record.integrity)
+  }
+  return Promise.all(removed
+    .filter(record => !referenced.has(record.integrity))
+    .map(record => call(fs.unlink, getContentPath(store, record.integrity)).catch(ignoreMissing)))
+}
+
+/**
+ * Evict least recently used records until stored bodies fit in `maxSize`
+ *
+ * Keys are kept in the index in the order of their last access, which settles
+ * records accessed within the same millisecond.
+ *
+ * @param {DiskCacheStore} store
+ * @param {Map} index
+ * @return {Promise}
+ */
+function evict (store, index) {
+  const sizes = new Map()
+  const records = []
+  for (const [key, entries] of index) {
+    for (const record of entries) {
+      sizes.set(record.integrity, record.size)
+      records.push([record, key, records.length])
+    }
+  }
+  let total = 0
+  for (const size of sizes.values()) total += size
+  if (total <= store.maxSize) {
+    return Promise.resolve()
+  }
+
+  const evicted = new Set()
+  records.sort((a, b) => a[0].accessTime - b[0].accessTime || a[2] - b[2])
+  for (const [record] of records) {
+    if (total <= store.maxSize) break
+    evicted.add(record)
+    if (sizes.delete(record.integrity)) total -= record.size
+  }
+  return removeRecords(store, index, record => evicted.has(record))
+}
+
+/**
+ * Stream a body to a temporary file, hashing it on the way
+ *
+ * The body is always read until its end, so that the other branch of the
+ * response body is never stalled, even when it is too large to be stored.
+ *
+ * @param {DiskCacheStore} store
+ * @param {Stream} body Readable stream
+ * @return {Promise} Resolves to { tmpFile, integrity, size }, or null if the body is larger than `maxSize`
+ */
+function writeBody (store, body) {
+  const tmpFile = path.join(store.path, 'tmp', randomBytes(16).toString('hex'))
+  return mkdirp(path.dirname(tmpFile)).then(() => new Promise((resolve, reject) => {
+    const hash = createHash('sha256')
+    const out = fs.createWriteStream(tmpFile)
+    let size = 0
+    let failed = false
+
+    const fail = err => {
+      if (failed) return
+      failed = true
+      body.resume()
+      // the file may still be opening, it can only be removed once closed
+      out.once('close', () => call(fs.unlink, tmpFile).catch(noop).then(() => err ? reject(err) : resolve(null)))
+      out.end()
+    }
+
+    body.on('data', chunk => {
+      if (failed) return
+      size += chunk.length
+      if (size > store.maxSize) {
+        fail(null)
+        return
+      }
+      hash.update(chunk)
+      if (!out.write(chunk)) {
+        body.pause()
+        out.once('drain', () => body.resume())
+      }
+    })
+    body.on('error', fail)
+    out.on('error', fail)
+    body.on('end', () => {
+      if (failed) return
+      out.end(() => resolve({ tmpFile, integrity: `sha256-${hash.digest('base64')}`, size }))
+    })
+  }))
+}
+
+/**
+ * Read a stored body, checking its integrity
+ *
+ * A body that does not match its hash makes the stream emit an error, and its
+ * entry is removed.
+ *
+ * @param {DiskCacheStore} store
+ * @param {Object} record
+ * @return {Stream}
+ */
+function readBody (store, record) {
+  const hash = createHash('sha256')
+  const verifier = new Transform({
+    transform (chunk, encoding, callback) {
+      hash.update(chunk)
+      callback(null, chunk)
+    },
+    flush (callback) {
+      if (`sha256-${hash.digest('base64')}` === record.integrity) {
+        callback()
+        return
+      }
+      getIndex(store)
+        .then(index => removeRecords(store, index, r => r.integrity === record.integrity).then(() => saveIndex(store, index)))
+        .catch(noop)
+      callback(new Error(`cached body of ${record.metadata.url} failed integrity check`))
+    }
+  })
+  const file = fs.createReadStream(getContentPath(store, record.integrity))
+  file.on('error', err => verifier.emit('error', err))
+  return file.pipe(verifier)
+}
+
+export default class DiskCacheStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path Cache directory, created if missing
+   * @param {number} [options.maxSize] Maximum total size of stored bodies, in bytes
+   * @param {boolean} [options.shared] Behave as a shared cache, as per RFC 9111
+   */
+  constructor ({ path: cachePath, maxSize = 250 * 1024 * 1024, shared = false } = {}) {
+    if (typeof cachePath !== 'string') {
+      throw new TypeError('The "path" option of DiskCacheStore must be a string')
+    }
+    this.path = cachePath
+    this.maxSize = maxSize
+    this.shared = shared
+    this[INDEX] = null
+    this[QUEUE] = Promise.resolve()
+
+    Object.defineProperty(this, Symbol.toStringTag, {
+      value: 'DiskCacheStore',
+      writable: false,
+      enumerable: false,
+      configurable: true
+    })
+  }
+
+  /**
+   * Get the entries stored under a key
+   *
+   * Entries whose body file is missing or truncated are removed.
+   *
+   * @param {string} key
+   * @return {Promise} Resolves to an array of { metadata, body } entries
+   */
+  get (key) {
+    return getIndex(this).then(index => {
+      const records = index.get(key) || []
+      return Promise.all(records.map(record => call(fs.stat, getContentPath(this, record.integrity))
+        .then(stats => stats.size === record.size, () => false)))
+        .then(valid => {
+          const invalid = records.filter((record, i) => !valid[i])
+          // the most recently accessed keys come last
+          const current = index.get(key)
+          if (current) {
+            index.delete(key)
+            index.set(key, current)
+          }
+          const cleanup = invalid.length
+            ? removeRecords(this, index, record => invalid.indexOf(record) !== -1).then(() => saveIndex(this, index)).catch(noop)
+            : Promise.resolve()
+
+          const now = Date.now()
+          const entries = records.filter((record, i) => valid[i]).map(record => {
+            // persisted along with the next index write
+            record.accessTime = now
+            return { metadata: record.metadata, body: () => readBody(this, record) }
+          })
+          return cleanup.then(() => entries)
+        })
+    })
+  }
+
+  /**
+   * Store a response body, replacing the entry of the same variant
+   *
+   * Bodies larger than `maxSize` are not stored.
+   *
+   * @param {string} key
+   * @param {Object} metadata
+   * @param {Stream} body Readable stream
+   * @return {Promise}
+   */
+  put (key, metadata, body) {
+    return getIndex(this).then(index => writeBody(this, body).then(written => {
+      if (!written) return
+
+      const contentPath = getContentPath(this, written.integrity)
+      const added = { metadata, integrity: written.integrity, size: written.size, accessTime: Date.now() }
+      return mkdirp(path.dirname(contentPath))
+        .then(() => call(fs.rename, written.tmpFile, contentPath))
+        .then(() => {
+          // add the record first, so that the replaced entry does not take along a body identical to the new one
+          const records = index.get(key) || []
+          records.push(added)
+          index.delete(key)
+          index.set(key, records)
+          return removeRecords(this, index, (record, k) => record !== added && k === key && record.metadata.variant === metadata.variant)
+        })
+        .then(() => evict(this, index))
+        .then(() => saveIndex(this, index))
+    }))
+  }
+
+  /**
+   * Replace the metadata of a stored entry
+   *
+   * @param {string} key
+   * @param {Object} metadata
+   * @return {Promise}
+   */
+  update (key, metadata) {
+    return getIndex(this).then(index => {
+      const record = (index.get(key) || []).find(record => record.metadata.variant === metadata.variant)
+      if (!record) return
+      record.metadata = metadata
+      record.accessTime = Date.now()
+      return saveIndex(this, index)
+    })
+  }
+
+  /**
+   * Delete the entries stored under a key
+   *
+   * @param {string} key
+   * @return {Promise}
+   */
+  delete (key) {
+    return getIndex(this).then(index => {
+      if (!index.has(key)) return
+      return removeRecords(this, index, (record, k) => k === key).then(() => saveIndex(this, index))
+    })
+  }
+}
+
+Object.defineProperty(DiskCacheStore.prototype, Symbol.toStringTag, {
+  value: 'DiskCacheStore',
+  writable: false,
+  enumerable: false,
+  configurable: true
+})
@@ -0,0 +1,228 @@
+/**
+ * form-data.js
+ *
+ * FormData class, as described by https://xhr.spec.whatwg.org/#interface-formdata
+ */
+
+import { randomBytes } from 'crypto'
+import Blob, { BUFFER, File } from './blob.js'
+
+const ENTRIES = Symbol('entries')
+const BOUNDARY = Symbol('boundary')
+
+/**
+ * Create an entry as per https://xhr.spec.whatwg.org/#create-an-entry
+ *
+ * @param {string} name Entry name
+ * @param {string|Blob} value Entry value
+ * @param {string} [filename] File name, only used for Blob values
+ * @return {Array} [name, value] pair
+ */
+function createEntry (name, value, filename) {
+  name = String(name)
+  if (value instanceof Blob) {
+    if (!(value instanceof File) || filename !== undefined) {
+      value = new File([value], filename !== undefined
+        ? filename
+        : value instanceof File ? value.name : 'blob', {
+        type: value.type,
+        lastModified: value instanceof File ? value.lastModified : undefined
+      })
+    }
+  } else {
+    value = String(value)
+  }
+  return [name, value]
+}
+
+export default class FormData {
+  constructor () {
+    this[ENTRIES] = []
+
+    Object.defineProperty(this, Symbol.toStringTag, {
+      value: 'FormData',
+      writable: false,
+      enumerable: false,
+      configurable: true
+    })
+  }
+
+  /**
+   * Append an entry
+   *
+   * @param {string} name Entry name
+   * @param {string|Blob} value Entry value
+   * @param {string} [filename] File name, only used for Blob values
+   */
+  append (name, value, filename = undefined) {
+    this[ENTRIES].push(createEntry(name, value, filename))
+  }
+
+  /**
+   * Replace all entries with the given name by a single one
+   *
+   * @param {string} name Entry name
+   * @param {string|Blob} value Entry value
+   * @param {string} [filename] File name, only used for Blob values
+   */
+  set (name, value, filename = undefined) {
+    const entry = createEntry(name, value, filename)
+    const index = this[ENTRIES].findIndex(([n]) => n === entry[0])
+    if (index === -1) {
+      this[ENTRIES].push(entry)
+      return
+    }
+    this[ENTRIES] = this[ENTRIES].filter(([n], i) => i <= index || n !== entry[0])
+    this[ENTRIES][index] = entry
+  }
+
+  /**
+   * Return the first value given name
+   *
+   * @param {string} name Entry name
+   * @return {string|File|null}
+   */
+  get (name) {
+    name = String(name)
+    const entry = this[ENTRIES].find(([n]) => n === name)
+    return entry ? entry[1] : null
+  }
+
+  /**
+   * Return all values given name
+   *
+   * @param {string} name Entry name
+   * @return {Array.<string|File>}
+   */
+  getAll (name) {
+    name = String(name)
+    return this[ENTRIES].filter(([n]) => n === name).map(([, value]) => value)
+  }
+
+  /**
+   * Check for entry name existence
+   *
+   * @param {string} name Entry name
+   * @return {boolean}
+   */
+  has (name) {
+    name = String(name)
+    return this[ENTRIES].some(([n]) => n === name)
+  }
+
+  /**
+   * Delete all entries given name
+   *
+   * @param {string} name Entry name
+   */
+  delete (name) {
+    name = String(name)
+    this[ENTRIES] = this[ENTRIES].filter(([n]) => n !== name)
+  }
+
+  /**
+   * Iterate over all entries
+   *
+   * @param {function} callback Executed for each item with parameters (value, name, thisArg)
+   * @param {boolean} thisArg `this` context for callback function
+   */
+  forEach (callback, thisArg = undefined) {
+    for (const [name, value] of this) {
+      callback.call(thisArg, value, name, this)
+    }
+  }
+
+  /**
+   * Get an iterator on names.
+   *
+   * @return {Iterator}
+   */
+  keys () {
+    return this[ENTRIES].map(([name]) => name)[Symbol.iterator]()
+  }
+
+  /**
+   * Get an iterator on values.
+   *
+   * @return {Iterator}
+   */
+  values () {
+    return this[ENTRIES].map(([, value]) => value)[Symbol.iterator]()
+  }
+
+  /**
+   * Get an iterator on entries.
+   *
+   * This is the default iterator of the FormData object.
+   *
+   * @return {Iterator}
+   */
+  [Symbol.iterator] () {
+    return this[ENTRIES].map(([name, value]) => [name, value])[Symbol.iterator]()
+  }
+}
+FormData.prototype.entries = FormData.prototype[Symbol.iterator]
+
+Object.defineProperty(FormData.prototype, Symbol.toStringTag, {
+  value: 'FormDataPrototype',
+  writable: false,
+  enumerable: false,
+  configurable: true
+})
+
+/**
+ * Get the multipart boundary of a FormData, generating it on first use so that
+ * it stays the same for Content-Type, Content-Length and the serialized body
+ *
+ * @param {FormData} formData
+ * @return {string}
+ */
+export function getFormDataBoundary (formData) {
+  if (!formData[BOUNDARY]) {
+    formData[BOUNDARY] = `----electron-fetch-boundary-${randomBytes(12).toString('hex')}`
+  }
+  return formData[BOUNDARY]
+}
+
+/**
+ * Copy a FormData, keeping its boundary
+ *
+ * @param {FormData} formData
+ * @return {FormData}
+ */
+export function cloneFormData (formData) {
+  const copy = new FormData()
+  copy[ENTRIES] = formData[ENTRIES].slice()
+  copy[BOUNDARY] = getFormDataBoundary(formData)
+  return copy
+}
+
+const escapeName = name => name
+  .replace(/\n/g, '%0A')
+  .replace(/\r/g, '%0D')
+  .replace(/"/g, '%22')
+
+const normalizeLineBreaks = value => value.replace(/\r?\n|\r/g, '\r\n')
+
+/**
+ * Serialize a FormData into multipart/form-data chunks
+ * ref: https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#multipart-form-data
+ *
+ * @param {FormData} formData
+ * @return {Array.<Buffer>}
+ */
+export function serializeFormData (formData) {
+  const boundary = getFormDataBoundary(formData)
+  const chunks = []
+  for (const [name, value] of formData[ENTRIES]) {
+    let head = `--${boundary}\r\nContent-Disposition: form-data; name="${escapeName(normalizeLineBreaks(name))}"`
+    if (value instanceof Blob) {
+      head += `; filename="${escapeName(value.name)}"\r\nContent-Type: ${value.type || 'application/octet-stream'}\r\n\r\n`
+      chunks.push(Buffer.from(head), value[BUFFER], Buffer.from('\r\n'))
+    } else {
+      chunks.push(Buffer.from(`${head}\r\n\r\n${normalizeLineBreaks(value)}\r\n`))
+    }
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`))
+  return chunks
+}
@@ -5,17 +5,26 @@
  */
 
 // eslint-disable-next-line n/no-deprecated-api
-import { resolve as resolveURL } from 'url'
+import { parse as parseURL, resolve as resolveURL } from 'url'
 import * as http from 'http'
 import * as https from 'https'
-import * as zlib from 'zlib'
 import { PassThrough } from 'stream'
 
-import { writeToStream } from './body'
+import { failBody, writeToStream } from './body'
 import Response from './response'
 import Headers from './headers'
 import Request, { getNodeRequestOptions } from './request'
 import FetchError from './fetch-error'
+import FormData from './form-data'
+import Blob, { File } from './blob'
+import { nodeToReadableStream } from './streams'
+import fetchWithRetry from './retry'
+import decodeBody from './content-encoding'
+import { getAbortError } from './abort'
+import fetchWithCache from './cache'
+import MemoryCacheStore from './memory-cache-store'
+import DiskCacheStore from './disk-cache-store'
+import CookieJar from './cookie-jar'
 
 let electron
 // istanbul ignore else
@@ -35,11 +44,207 @@ const isReady = electron && electron.app && !electron.app.isReady()
  * @return {Promise}
  */
 export default function fetch (url, opts = {}) {
+  return isReady.then(() => sendRequest(new Request(url, opts), opts))
+}
+
+/**
+ * Send a request through the cache, the cookie and the retry layers
+ *
+ * @param {Request} request
+ * @param {Object} opts Fetch options
+ * @return {Promise}
+ */
+function sendRequest (request, opts) {
+  let send = request => {
+    // `totalTimeout` covers every attempt, and the delays between them
+    const startTime = Date.now()
+    return request.retry
+      ? fetchWithRetry(request => httpFetch(request, opts, [], startTime), request, request.totalTimeout ? startTime + request.totalTimeout : null)
+      : httpFetch(request, opts, [], startTime)
+  }
+  if (request.cookieJar && request.useElectronNet && request.useSessionCookies) {
+    send = withSessionCookies(send, opts)
+  }
+
+  return fetchWithCache(send, request)
+}
+
+/**
+ * Pick the default options of a fetch instance that apply to a Request input:
+ * those of the fields the Request leaves to their built-in value
+ *
+ * @param {Object} defaults Default fetch options
+ * @param {Request} request
+ * @return {Object}
+ */
+function getRequestDefaults (defaults, request) {
+  const builtIn = new Request(request.url)
+  const result = {}
+  for (const name of Object.keys(defaults)) {
+    if (name !== 'headers' && name in builtIn && request[name] === builtIn[name]) {
+      result[name] = defaults[name]
+    }
+  }
+  return result
+}
+
+/**
+ * Merge header sets, the headers of later sets replacing those of the same name
+ *
+ * @param {...Object} inits Anything accepted by the Headers constructor, or undefined
+ * @return {Headers}
+ */
+function mergeHeaders (...inits) {
+  const headers = new Headers()
+  for (const init of inits) {
+    if (!init) continue
+    for (const [name, value] of new Headers(init)) {
+      headers.set(name, value)
+    }
+  }
+  return headers
+}
+
+/**
+ * Create a fetch function with default options, running each request through
+ * a middleware pipeline
+ *
+ * A middleware is called with the Request and a `next` function, which passes
+ * a request to the next middleware, or sends it for the last one, and returns
+ * a promise of the Response.
+ *
+ * @param {Object} [options] Default fetch options, merged into the options of each request
+ * @param {string} [options.baseURL] Absolute URL against which relative URLs are resolved
+ * @param {function[]} [options.middleware] Functions of (request, next) returning a promise of a Response
+ * @return {function} Fetch function
+ */
+fetch.create = (options = {}) => {
+  const { baseURL, middleware = [] } = options
+  if (!Array.isArray(middleware) || middleware.some(layer => typeof layer !== 'function')) {
+    throw new TypeError('The "middleware" option must be an array of functions')
+  }
+  if (baseURL !== undefined && !/^https?:\/\//i.test(`${baseURL}`)) {
+    throw new TypeError('The "baseURL" option must be an absolute URL')
+  }
+  const defaults = Object.assign({}, options)
+  delete defaults.baseURL
+  delete defaults.middleware
+
+  const dispatch = (index, request, opts) => {
+    if (index === middleware.length) {
+      return sendRequest(request, opts)
+    }
+    const next = (input, init) => dispatch(index + 1, input instanceof Request && !init ? input : new Request(input, init), opts)
+    return new Promise(resolve => resolve(middleware[index](request, next)))
+  }
+
+  const instance = (url, opts = {}) => isReady.then(() => {
+    if (baseURL !== undefined) {
+      url = url instanceof Request
+        ? new Request(resolveURL(`${baseURL}`, url.url), url)
+        : resolveURL(`${baseURL}`, url && url.href ? url.href : `${url}`)
+    }
+    const headers = mergeHeaders(defaults.headers, url instanceof Request ? url.headers : null, opts.headers)
+    // the fields set on a Request input prevail over the defaults, except for headers, which are merged.
+    // Transport options (agent, session, onLogin...) are not Request fields, and keep their defaults
+    const request = url instanceof Request
+      ? new Request(url, Object.assign(getRequestDefaults(defaults, url), opts, { headers }))
+      : new Request(url, Object.assign({}, defaults, opts, { headers }))
+    return dispatch(0, request, Object.assign({}, defaults, opts, { headers }))
+  })
+  instance.isRedirect = fetch.isRedirect
+  instance.create = (extension = {}) => fetch.create(Object.assign({}, options, extension, {
+    baseURL: baseURL !== undefined && extension.baseURL !== undefined
+      ? resolveURL(`${baseURL}`, `${extension.baseURL}`)
+      : extension.baseURL !== undefined ? extension.baseURL : baseURL,
+    headers: mergeHeaders(options.headers, extension.headers),
+    middleware: middleware.concat(extension.middleware || [])
+  }))
+  return instance
+}
+
+/**
+ * Convert raw response headers to a Headers object
+ *
+ * @param {Object} rawHeaders Header values, or arrays of values, by name
+ * @param {Request} request
+ * @return {Headers}
+ */
+function createHeaders (rawHeaders, request) {
+  const headers = new Headers()
+  for (const name of Object.keys(rawHeaders)) {
+    if (Array.isArray(rawHeaders[name])) {
+      for (const val of rawHeaders[name]) {
+        headers.append(name, val)
+      }
+    } else {
+      headers.append(name, rawHeaders[name])
+    }
+  }
+  // normalize location header for manual redirect mode
+  if (request.redirect === 'manual' && headers.has('location')) {
+    headers.set('location', resolveURL(request.url, headers.get('location')))
+  }
+  return headers
+}
+
+/**
+ * Check if two URLs have the same origin
+ *
+ * @param {string} a
+ * @param {string} b
+ * @return {boolean}
+ */
+function isSameOrigin (a, b) {
+  const urlA = parseURL(a)
+  const urlB = parseURL(b)
+  const port = url => url.port || (url.protocol === 'https:' ? '443' : '80')
+  return urlA.protocol === urlB.protocol && urlA.hostname === urlB.hostname && port(urlA) === port(urlB)
+}
+
+/**
+ * Mirror the cookie jar into the Electron session around each request, so that
+ * the net module sends and stores cookies itself, redirects included
+ *
+ * The whole jar is exported, as redirects may lead to other hosts, and the
+ * cookies of every hop are imported back.
+ *
+ * @param {function} send Sends a Request, returns a promise of a Response
+ * @param {Object} opts Fetch options
+ * @return {function}
+ */
+function withSessionCookies (send, opts) {
+  return request => {
+    const session = opts.session || electron.session.defaultSession
+    const importCookies = urls => Promise.all(urls.map(url => request.cookieJar.importFromSession(session, url)))
+    return request.cookieJar.exportToSession(session)
+      .then(() => send(request))
+      .then(
+        response => importCookies(response.redirectChain.map(hop => hop.url).concat(response.url))
+          .then(() => response),
+        err => {
+          const rethrow = () => { throw err }
+          return importCookies([request.url]).then(rethrow, rethrow)
+        }
+      )
+  }
+}
+
+/**
+ * Send a single request over the network, following redirects
+ *
+ * @param {Request} request Request to send
+ * @param {Object} opts Fetch options
+ * @param {Array} [redirectChain] Redirects followed so far, as { url, status, headers } objects
+ * @param {number} [startTime] Time the first attempt of the fetch was sent at, for `totalTimeout`
+ * @return {Promise}
+ */
+function httpFetch (request, opts, redirectChain = [], startTime = Date.now()) {
   // wrap http.request into fetch
-  return isReady.then(() => new Promise((resolve, reject) => {
-    // build request object
-    const request = new Request(url, opts)
-    const options = getNodeRequestOptions(request)
+  return new Promise((resolve, reject) => {
+    // SameSite cookies are checked against the first request of the redirect chain
+    const siteForCookies = redirectChain.length ? redirectChain[0].url : request.url
+    const options = getNodeRequestOptions(request, siteForCookies)
 
     const send = request.useElectronNet
       ? electron.net.request
@@ -51,7 +256,7 @@ export default function fetch (url, opts = {}) {
     }
 
     if (request.signal && request.signal.aborted) {
-      reject(new FetchError('request aborted', 'abort'))
+      reject(getAbortError(request.signal))
       return
     }
 
@@ -62,6 +267,9 @@ export default function fetch (url, opts = {}) {
       delete options.headers
       options.session = opts.session || electron.session.defaultSession
       options.useSessionCookies = request.useSessionCookies
+      options.redirect = 'manual'
+      // without a cache store, let Chromium's HTTP cache handle the cache mode
+      if (!request.cacheStore) options.cache = request.cache
     } else {
       if (opts.agent) options.agent = opts.agent
       if (opts.onLogin) reject(new Error('"onLogin" option is only supported with "useElectronNet" enabled'))
@@ -78,6 +286,18 @@ export default function fetch (url, opts = {}) {
       }
     }
     let reqTimeout
+    let connectTimeout
+    let headersTimeout
+    let totalTimeout
+    // servers may answer before the request body is fully sent
+    let responded = false
+
+    const clearTimeouts = () => {
+      clearTimeout(reqTimeout)
+      clearTimeout(connectTimeout)
+      clearTimeout(headersTimeout)
+      clearTimeout(totalTimeout)
+    }
 
     const cancelRequest = () => {
       if (request.useElectronNet) {
@@ -87,7 +307,7 @@ export default function fetch (url, opts = {}) {
       }
     }
     const abortRequest = () => {
-      const err = new FetchError('request aborted', 'abort')
+      const err = getAbortError(request.signal)
       reject(err)
       cancelRequest()
       req.emit('error', err)
@@ -105,6 +325,44 @@ export default function fetch (url, opts = {}) {
       }, request.timeout)
     }
 
+    if (request.totalTimeout) {
+      totalTimeout = setTimeout(() => {
+        reject(new FetchError(`total timeout at: ${request.url} (over ${request.totalTimeout}ms)`, 'total-timeout'))
+        cancelRequest()
+      }, Math.max(startTime + request.totalTimeout - Date.now(), 0))
+    }
+
+    if (request.connectTimeout) {
+      connectTimeout = setTimeout(() => {
+        reject(new FetchError(`connect timeout at: ${request.url} (over ${request.connectTimeout}ms)`, 'connect-timeout'))
+        cancelRequest()
+      }, request.connectTimeout)
+      // the net module does not tell when the connection is established, the timeout then lasts until the response
+      if (!request.useElectronNet) {
+        req.on('socket', socket => {
+          if (!socket.connecting && !socket.pending) {
+            // reused keep-alive connection
+            clearTimeout(connectTimeout)
+            return
+          }
+          socket.once(options.protocol === 'https:' ? 'secureConnect' : 'connect', () => clearTimeout(connectTimeout))
+        })
+      }
+    }
+
+    if (request.headersTimeout) {
+      // counted once the request, including its body, is sent
+      req.on('finish', () => {
+        if (responded) {
+          return
+        }
+        headersTimeout = setTimeout(() => {
+          reject(new FetchError(`headers timeout at: ${request.url} (over ${request.headersTimeout}ms)`, 'headers-timeout'))
+          cancelRequest()
+        }, request.headersTimeout)
+      })
+    }
+
     if (request.useElectronNet) {
       // handle authenticating proxies
       req.on('login', (authInfo, callback) => {
@@ -128,8 +386,108 @@ export default function fetch (url, opts = {}) {
       })
     }
 
+    /**
+     * Follow a redirect as per the redirect mode, like https://fetch.spec.whatwg.org/#http-redirect-fetch
+     *
+     * @param {number} statusCode
+     * @param {Headers} headers Response headers
+     * @return {boolean} Whether the request was redirected or rejected
+     */
+    const followRedirect = (statusCode, headers) => {
+      if (!fetch.isRedirect(statusCode) || request.redirect === 'manual') {
+        return false
+      }
+
+      if (request.redirect === 'error') {
+        reject(new FetchError(`redirect mode is set to error: ${request.url}`, 'no-redirect'))
+        return true
+      }
+
+      if (request.counter >= request.follow) {
+        reject(new FetchError(`maximum redirect reached at: ${request.url}`, 'max-redirect'))
+        return true
+      }
+
+      if (!headers.has('location')) {
+        reject(new FetchError(`redirect location header missing at: ${request.url}`, 'invalid-redirect'))
+        return true
+      }
+
+      // per fetch spec, for POST request with 301/302 response, or any request with 303 response, use GET when following redirect
+      if (statusCode === 303 ||
+        ((statusCode === 301 || statusCode === 302) && request.method === 'POST')) {
+        request.method = 'GET'
+        request.body = null
+        request.headers.delete('content-length')
+      }
+
+      request.counter++
+
+      const chain = redirectChain.concat({ url: request.url, status: statusCode, headers })
+      const nextUrl = resolveURL(request.url, headers.get('location'))
+      // fetch spec: credentials are not sent to other origins
+      const withoutCrossOriginCredentials = nextRequest => {
+        if (!isSameOrigin(request.url, nextRequest.url)) {
+          nextRequest.headers.delete('Authorization')
+          nextRequest.headers.delete('Cookie')
+        }
+        return nextRequest
+      }
+      const nextRequest = withoutCrossOriginCredentials(new Request(nextUrl, request))
+
+      if (!request.onRedirect) {
+        resolve(httpFetch(nextRequest, opts, chain, startTime))
+        return true
+      }
+
+      const response = new Response(null, {
+        url: request.url,
+        status: statusCode,
+        statusText: http.STATUS_CODES[statusCode],
+        headers,
+        redirectChain,
+        useElectronNet: request.useElectronNet
+      })
+      resolve(new Promise(resolve => resolve(request.onRedirect(nextRequest, response, nextUrl)))
+        // the URL returned by the hook may be of another origin than the Location one
+        .then(url => httpFetch(url == null ? nextRequest : withoutCrossOriginCredentials(new Request(url, nextRequest)), opts, chain, startTime)))
+      return true
+    }
+
+    if (request.useElectronNet) {
+      // the net module does not follow redirects by itself (see `redirect: 'manual'` above), so
+      // that they are handled as on Node.js. Not calling `req.followRedirect()` cancels the request.
+      req.on('redirect', (statusCode, method, redirectUrl, responseHeaders) => {
+        responded = true
+        clearTimeouts()
+        if (request.signal) {
+          request.signal.removeEventListener('abort', abortRequest)
+        }
+
+        const headers = createHeaders(responseHeaders, request)
+        if (request.cookieJar) {
+          request.cookieJar.setCookies(headers.raw()['set-cookie'], request.url)
+        }
+
+        if (!followRedirect(statusCode, headers)) {
+          // manual redirect mode: the net module does not provide the body of redirect responses
+          const body = new PassThrough().end()
+          resolve(new Response(request.useWebStreams ? nodeToReadableStream(body) : body, {
+            url: request.url,
+            status: statusCode,
+            statusText: http.STATUS_CODES[statusCode],
+            headers,
+            redirectChain,
+            useElectronNet: request.useElectronNet,
+            useSessionCookies: request.useSessionCookies
+          }))
+        }
+        cancelRequest()
+      })
+    }
+
     req.on('error', err => {
-      clearTimeout(reqTimeout)
+      clearTimeouts()
       if (request.signal) {
         request.signal.removeEventListener('abort', abortRequest)
       }
@@ -138,7 +496,7 @@ export default function fetch (url, opts = {}) {
     })
 
     req.on('abort', () => {
-      clearTimeout(reqTimeout)
+      clearTimeouts()
       if (request.signal) {
         request.signal.removeEventListener('abort', abortRequest)
       }
@@ -146,69 +504,67 @@ export default function fetch (url, opts = {}) {
 
     req.on('response', res => {
       try {
-        clearTimeout(reqTimeout)
+        responded = true
+        clearTimeouts()
         if (request.signal) {
           request.signal.removeEventListener('abort', abortRequest)
         }
 
-        // handle redirect
-        if (fetch.isRedirect(res.statusCode) && request.redirect !== 'manual') {
-          if (request.redirect === 'error') {
-            reject(new FetchError(`redirect mode is set to error: ${request.url}`, 'no-redirect'))
-            return
-          }
-
-          if (request.counter >= request.follow) {
-            reject(new FetchError(`maximum redirect reached at: ${request.url}`, 'max-redirect'))
-            return
-          }
-
-          if (!res.headers.location) {
-            reject(new FetchError(`redirect location header missing at: ${request.url}`, 'invalid-redirect'))
-            return
-          }
-
-          // per fetch spec, for POST request with 301/302 response, or any request with 303 response, use GET when following redirect
-          if (res.statusCode === 303 ||
-            ((res.statusCode === 301 || res.statusCode === 302) && request.method === 'POST')) {
-            request.method = 'GET'
-            request.body = null
-            request.headers.delete('content-length')
-          }
-
-          request.counter++
+        // store cookies of every hop, including redirects
+        if (request.cookieJar) {
+          request.cookieJar.setCookies(res.headers['set-cookie'], request.url)
+        }
 
-          resolve(fetch(resolveURL(request.url, res.headers.location), request))
+        const headers = createHeaders(res.headers, request)
+        if (followRedirect(res.statusCode, headers)) {
+          // discard the body of the redirect response
+          res.resume()
           return
         }
 
-        // normalize location header for manual redirect mode
-        const headers = new Headers()
-        for (const name of Object.keys(res.headers)) {
-          if (Array.isArray(res.headers[name])) {
-            for (const val of res.headers[name]) {
-              headers.append(name, val)
-            }
-          } else {
-            headers.append(name, res.headers[name])
-          }
+        const destroyBody = err => {
+          res.destroy()
+          res.emit('error', err) // separated from the `.destroy()` because somehow Node's IncomingMessage streams do not emit errors on destroy
+        }
+        const abortBody = () => destroyBody(getAbortError(request.signal))
+
+        // timeouts of the response body
+        const bodyTimeouts = []
+        const clearBodyTimeouts = () => bodyTimeouts.forEach(clearTimeout)
+        res.on('end', clearBodyTimeouts)
+        res.on('error', clearBodyTimeouts)
+        res.on('close', clearBodyTimeouts)
+
+        if (request.totalTimeout) {
+          bodyTimeouts[0] = setTimeout(() => {
+            destroyBody(new FetchError(`total timeout at: ${request.url} (over ${request.totalTimeout}ms)`, 'total-timeout'))
+          }, Math.max(startTime + request.totalTimeout - Date.now(), 0))
         }
-        if (request.redirect === 'manual' && headers.has('location')) {
-          headers.set('location', resolveURL(request.url, headers.get('location')))
+
+        if (request.idleTimeout) {
+          const startIdleTimeout = () => {
+            clearTimeout(bodyTimeouts[1])
+            bodyTimeouts[1] = setTimeout(() => {
+              destroyBody(new FetchError(`idle timeout at: ${request.url} (no data received for ${request.idleTimeout}ms)`, 'idle-timeout'))
+            }, request.idleTimeout)
+          }
+          startIdleTimeout()
+          // registered before piping, so that a `pause` caused by backpressure comes after the timeout is restarted
+          res.on('data', startIdleTimeout)
+          // data is not expected while the reader is not reading
+          res.on('pause', () => clearTimeout(bodyTimeouts[1]))
+          res.on('resume', startIdleTimeout)
         }
 
         // prepare response
         let body = new PassThrough()
-        res.on('error', err => body.emit('error', err))
+        const rawBody = body
+        // the error is kept for reads started after it
+        res.on('error', err => failBody(body, err))
         res.pipe(body)
         body.on('error', cancelRequest)
         body.on('cancel-request', cancelRequest)
 
-        const abortBody = () => {
-          res.destroy()
-          res.emit('error', new FetchError('request aborted', 'abort')) // separated from the `.destroy()` because somehow Node's IncomingMessage streams do not emit errors on destroy
-        }
-
         if (request.signal) {
           request.signal.addEventListener('abort', abortBody)
           res.on('end', () => {
@@ -224,6 +580,7 @@ export default function fetch (url, opts = {}) {
           status: res.statusCode,
           statusText: res.statusMessage,
           headers,
+          redirectChain,
           size: request.size,
           timeout: request.timeout,
           useElectronNet: request.useElectronNet,
@@ -233,47 +590,42 @@ export default function fetch (url, opts = {}) {
         // HTTP-network fetch step 16.1.2
         const codings = headers.get('Content-Encoding')
 
+        // report download progress on the raw response, so that it matches Content-Length
+        if (request.onDownloadProgress) {
+          const contentLength = parseInt(headers.get('Content-Length'), 10)
+          // electron/net decodes the body itself, so Content-Length is meaningless if encoded
+          const total = isNaN(contentLength) || (request.useElectronNet && codings !== null) ? null : contentLength
+          let loaded = 0
+          res.on('data', chunk => {
+            loaded += chunk.length
+            request.onDownloadProgress({ loaded, total })
+          })
+        }
+
         // HTTP-network fetch step 16.1.3: handle content codings
 
         // in following scenarios we ignore compression support
         // 1. running on Electron/net module (it manages it for us)
-        // 2. HEAD request
-        // 3. no Content-Encoding header
-        // 4. no content response (204)
-        // 5. content not modified response (304)
-        if (!request.useElectronNet && request.method !== 'HEAD' && codings !== null &&
+        // 2. decompression disabled by the user
+        // 3. HEAD request
+        // 4. no Content-Encoding header
+        // 5. no content response (204)
+        // 6. content not modified response (304)
+        if (!request.useElectronNet && request.decompress && request.method !== 'HEAD' && codings !== null &&
           res.statusCode !== 204 && res.statusCode !== 304) {
-          // Be less strict when decoding compressed responses, since sometimes
-          // servers send slightly invalid responses that are still accepted
-          // by common browsers.
-          // Always using Z_SYNC_FLUSH is what cURL does.
-          // /!\ This is disabled for now, because it seems broken in recent node
-          // const zlibOptions = {
-          //   flush: zlib.Z_SYNC_FLUSH,
-          //   finishFlush: zlib.Z_SYNC_FLUSH
-          // }
-
-          if (codings === 'gzip' || codings === 'x-gzip') { // for gzip
-            body = body.pipe(zlib.createGunzip())
-          } else if (codings === 'deflate' || codings === 'x-deflate') { // for deflate
-            // handle the infamous raw deflate response from old servers
-            // a hack for old IIS and Apache servers
-            const raw = res.pipe(new PassThrough())
-            return raw.once('data', chunk => {
-              // see http://stackoverflow.com/questions/37519828
-              if ((chunk[0] & 0x0F) === 0x08) {
-                body = body.pipe(zlib.createInflate())
-              } else {
-                body = body.pipe(zlib.createInflateRaw())
-              }
-              const response = new Response(body, responseOptions)
-              resolve(response)
-            })
+          body = decodeBody(body, codings, {
+            lenient: request.lenientDecoding,
+            url: request.url,
+            onWarning: request.onWarning || (warning => process.emitWarning(warning))
+          })
+          // make sure that cancelling a decoded body aborts the request as well
+          if (body !== rawBody) {
+            body.on('error', cancelRequest)
+            body.on('cancel-request', cancelRequest)
           }
         }
 
-        const response = new Response(body, responseOptions)
-        resolve(response)
+        resolve(new Response(request.useWebStreams ? nodeToReadableStream(body) : body, responseOptions))
       } catch (error) {
         reject(new FetchError(`Invalid response: ${error.message}`, 'invalid-response'))
         cancelRequest()
@@ -281,7 +633,7 @@ export default function fetch (url, opts = {}) {
     })
 
     writeToStream(req, request)
-  }))
+  })
 }
 
 /**
@@ -296,5 +648,11 @@ export {
   Headers,
   Request,
   Response,
-  FetchError
+  FetchError,
+  FormData,
+  Blob,
+  File,
+  MemoryCacheStore,
+  DiskCacheStore,
+  CookieJar
 }
@@ -0,0 +1,142 @@
+/**
+ * memory-cache-store.js
+ *
+ * In-memory store for the HTTP cache, evicting least recently used entries
+ */
+
+const ENTRIES = Symbol('entries')
+const SIZE = Symbol('size')
+
+export default class MemoryCacheStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxSize] Maximum total size of stored bodies, in bytes
+   * @param {boolean} [options.shared] Behave as a shared cache, as per RFC 9111
+   */
+  constructor ({ maxSize = 50 * 1024 * 1024, shared = false } = {}) {
+    this.maxSize = maxSize
+    this.shared = shared
+    this[ENTRIES] = new Map()
+    this[SIZE] = 0
+
+    Object.defineProperty(this, Symbol.toStringTag, {
+      value: 'MemoryCacheStore',
+      writable: false,
+      enumerable: false,
+      configurable: true
+    })
+  }
+
+  /**
+   * Total size of stored bodies, in bytes
+   *
+   * @return {number}
+   */
+  get size () {
+    return this[SIZE]
+  }
+
+  /**
+   * Get the entries stored under a key
+   *
+   * @param {string} key
+   * @return {Promise} Resolves to an array of { metadata, body } entries
+   */
+  get (key) {
+    const entries = this[ENTRIES].get(key)
+    if (!entries) {
+      return Promise.resolve([])
+    }
+    // mark as most recently used
+    this[ENTRIES].delete(key)
+    this[ENTRIES].set(key, entries)
+    return Promise.resolve(entries.map(({ metadata, buffer }) => ({ metadata, body: () => buffer })))
+  }
+
+  /**
+   * Store a response body, replacing the entry of the same variant
+   *
+   * Bodies larger than `maxSize` are not stored.
+   *
+   * @param {string} key
+   * @param {Object} metadata
+   * @param {Stream} body Readable stream
+   * @return {Promise}
+   */
+  put (key, metadata, body) {
+    return new Promise((resolve, reject) => {
+      const chunks = []
+      let size = 0
+      body.on('data', chunk => {
+        size += chunk.length
+        if (size <= this.maxSize) chunks.push(chunk)
+      })
+      body.on('error', reject)
+      body.on('end', () => {
+        if (size <= this.maxSize) {
+          this.delete(key, metadata.variant)
+          const entries = this[ENTRIES].get(key) || []
+          entries.push({ metadata, buffer: Buffer.concat(chunks, size) })
+          this[ENTRIES].delete(key)
+          this[ENTRIES].set(key, entries)
+          this[SIZE] += size
+          this.evict()
+        }
+        resolve()
+      })
+    })
+  }
+
+  /**
+   * Replace the metadata of a stored entry
+   *
+   * @param {string} key
+   * @param {Object} metadata
+   * @return {Promise}
+   */
+  update (key, metadata) {
+    const entry = (this[ENTRIES].get(key) || []).find(entry => entry.metadata.variant === metadata.variant)
+    if (entry) {
+      entry.metadata = metadata
+    }
+    return Promise.resolve()
+  }
+
+  /**
+   * Delete the entries stored under a key
+   *
+   * @param {string} key
+   * @param {string} [variant] Only delete the entry of this variant
+   * @return {Promise}
+   */
+  delete (key, variant = undefined) {
+    const entries = this[ENTRIES].get(key) || []
+    const kept = entries.filter(entry => variant !== undefined && entry.metadata.variant !== variant)
+    for (const entry of entries) {
+      if (kept.indexOf(entry) === -1) this[SIZE] -= entry.buffer.length
+    }
+    if (kept.length) {
+      this[ENTRIES].set(key, kept)
+    } else {
+      this[ENTRIES].delete(key)
+    }
+    return Promise.resolve()
+  }
+
+  /**
+   * Evict least recently used keys until the store fits in `maxSize`
+   */
+  evict () {
+    for (const key of this[ENTRIES].keys()) {
+      if (this[SIZE] <= this.maxSize) break
+      this.delete(key)
+    }
+  }
+}
+
+Object.defineProperty(MemoryCacheStore.prototype, Symbol.toStringTag, {
+  value: 'MemoryCacheStore',
+  writable: false,
+  enumerable: false,
+  configurable: true
+})
@@ -0,0 +1,185 @@
+/**
+ * multipart-parser.js
+ *
+ * Streaming parser for multipart/form-data bodies
+ * ref: https://tools.ietf.org/html/rfc7578 and https://tools.ietf.org/html/rfc2046#section-5.1.1
+ */
+
+const CRLF = Buffer.from('\r\n')
+const HEADERS_END = Buffer.from('\r\n\r\n')
+const MAX_HEADERS_SIZE = 16 * 1024
+
+const S_PREAMBLE = 0
+const S_DELIMITER = 1
+const S_HEADERS = 2
+const S_BODY = 3
+const S_EPILOGUE = 4
+
+/**
+ * Extract the boundary parameter of a multipart Content-Type
+ *
+ * @param {string} contentType Content-Type header value
+ * @return {string|null}
+ */
+export function getBoundary (contentType) {
+  const params = parseParameters(contentType)
+  return params.boundary || null
+}
+
+/**
+ * Parse a Content-Disposition header value
+ *
+ * @param {string} value Content-Disposition header value
+ * @return {Object} disposition type and parameters
+ */
+export function parseContentDisposition (value) {
+  const params = parseParameters(value)
+  // RFC 5987 extended notation takes precedence, e.g. filename*=utf-8''na%C3%AFve.txt
+  if (params['filename*'] !== undefined) {
+    const match = /^([\w!#$%&+^`{}~-]+)'[^']*'(.*)$/.exec(params['filename*'])
+    if (match) {
+      try {
+        params.filename = decodeURIComponent(match[2])
+      } catch (err) {
+        // keep the plain filename parameter if the extended one is invalid
+      }
+    }
+  }
+  return {
+    type: value.split(';')[0].trim().toLowerCase(),
+    params
+  }
+}
+
+function parseParameters (value) {
+  const params = {}
+  const regex = /;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g
+  let match
+  while ((match = regex.exec(value)) !== null) {
+    const name = match[1].toLowerCase()
+    let val = match[2].trim()
+    if (val[0] === '"') {
+      val = val.slice(1, -1).replace(/\\(.)/g, '$1')
+    }
+    // first occurrence wins
+    if (params[name] === undefined) params[name] = val
+  }
+  return params
+}
+
+function parseHeaders (buffer) {
+  const headers = {}
+  for (const line of buffer.toString().split('\r\n')) {
+    const index = line.indexOf(':')
+    if (index <= 0) {
+      throw new Error(`invalid part header: ${line}`)
+    }
+    const name = line.slice(0, index).trim().toLowerCase()
+    if (headers[name] === undefined) headers[name] = line.slice(index + 1).trim()
+  }
+  return headers
+}
+
+/**
+ * MultipartParser class
+ *
+ * Chunks are fed through `write()`, and parts are reported through the given
+ * handlers as soon as they are found, so the body never has to be buffered
+ * entirely. Malformed input makes `write()` or `end()` throw.
+ *
+ * @param {string} boundary Multipart boundary
+ * @param {Object} handlers `onPartBegin(headers)`, `onPartData(buffer)` and `onPartEnd()` callbacks
+ */
+export default class MultipartParser {
+  constructor (boundary, { onPartBegin, onPartData, onPartEnd }) {
+    this.delimiter = Buffer.from(`\r\n--${boundary}`)
+    // pretend the body starts with a line break, so that a delimiter at the very
+    // beginning of the body is matched like any other
+    this.buffer = CRLF
+    this.state = S_PREAMBLE
+    this.onPartBegin = onPartBegin
+    this.onPartData = onPartData
+    this.onPartEnd = onPartEnd
+  }
+
+  /**
+   * Parse a chunk of the body
+   *
+   * @param {Buffer} chunk
+   */
+  write (chunk) {
+    if (this.state === S_EPILOGUE) return
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk
+
+    while (true) {
+      if (this.state === S_PREAMBLE) {
+        const index = this.buffer.indexOf(this.delimiter)
+        if (index === -1) {
+          this.buffer = this.buffer.slice(Math.max(this.buffer.length - this.delimiter.length + 1, 0))
+          return
+        }
+        this.buffer = this.buffer.slice(index + this.delimiter.length)
+        this.state = S_DELIMITER
+      } else if (this.state === S_DELIMITER) {
+        if (this.buffer.length < 2) return
+        if (this.buffer[0] === 0x2D && this.buffer[1] === 0x2D) { // `--` marks the close delimiter
+          this.buffer = Buffer.alloc(0)
+          this.state = S_EPILOGUE
+          return
+        }
+        const index = this.buffer.indexOf(CRLF)
+        if (index === -1) {
+          if (this.buffer.length > MAX_HEADERS_SIZE) throw new Error('malformed boundary delimiter')
+          return
+        }
+        // only linear whitespace (transport padding) may follow the delimiter
+        if (/[^ \t]/.test(this.buffer.slice(0, index).toString('latin1'))) {
+          throw new Error('malformed boundary delimiter')
+        }
+        this.buffer = this.buffer.slice(index + CRLF.length)
+        this.state = S_HEADERS
+      } else if (this.state === S_HEADERS) {
+        let headers
+        if (this.buffer.length >= 2 && this.buffer[0] === 0x0D && this.buffer[1] === 0x0A) {
+          // part without any header
+          headers = {}
+          this.buffer = this.buffer.slice(CRLF.length)
+        } else {
+          const index = this.buffer.indexOf(HEADERS_END)
+          if (index === -1) {
+            if (this.buffer.length > MAX_HEADERS_SIZE) throw new Error('part headers too large')
+            return
+          }
+          headers = parseHeaders(this.buffer.slice(0, index))
+          this.buffer = this.buffer.slice(index + HEADERS_END.length)
+        }
+        this.onPartBegin(headers)
+        this.state = S_BODY
+      } else if (this.state === S_BODY) {
+        const index = this.buffer.indexOf(this.delimiter)
+        if (index === -1) {
+          // keep enough bytes to detect a delimiter split across chunks
+          const safeLength = this.buffer.length - this.delimiter.length + 1
+          if (safeLength > 0) {
+            this.onPartData(this.buffer.slice(0, safeLength))
+            this.buffer = this.buffer.slice(safeLength)
+          }
+          return
+        }
+        if (index > 0) this.onPartData(this.buffer.slice(0, index))
+        this.onPartEnd()
+        this.buffer = this.buffer.slice(index + this.delimiter.length)
+        this.state = S_DELIMITER
+      }
+    }
+  }
+
+  /**
+   * Signal the end of the body
+   */
+  end () {
+    if (this.state !== S_EPILOGUE) {
+      throw new Error('unexpected end of multipart data')
+    }
+  }
+}
@@ -5,12 +5,36 @@
  */
 
 // eslint-disable-next-line n/no-deprecated-api
-import { format as formatURL, parse as parseURL } from 'url'
+import { format as formatURL, parse as parseURL, URLSearchParams } from 'url'
 import Headers from './headers.js'
 import Body, { clone, extractContentType, getTotalBytes } from './body'
+import { getReadableStreamClass } from './streams'
+import { normalizeRetryOptions } from './retry'
+import { CACHE_MODES } from './cache'
+import { ACCEPT_ENCODING, COMPRESS_CODINGS } from './content-encoding'
 
 const PARSED_URL = Symbol('url')
 
+/**
+ * Encode a plain object as URLSearchParams, for the `form` option
+ *
+ * @param {Object} form Keys and values (or arrays of values) to encode
+ * @return {URLSearchParams}
+ */
+function formToSearchParams (form) {
+  if (typeof form !== 'object') {
+    throw new TypeError('The "form" option must be a plain object')
+  }
+  const params = new URLSearchParams()
+  for (const name of Object.keys(form)) {
+    const values = Array.isArray(form[name]) ? form[name] : [form[name]]
+    for (const value of values) {
+      if (value != null) params.append(name, value)
+    }
+  }
+  return params
+}
+
 /**
  * Request class
  *
@@ -39,13 +63,21 @@ export default class Request {
 
     const method = init.method || input.method || 'GET'
 
-    if ((init.body != null || (input instanceof Request && input.body !== null)) &&
+    let initBody = init.body
+    if (init.form != null) {
+      if (initBody != null) {
+        throw new TypeError('Request cannot have both "body" and "form" options')
+      }
+      initBody = formToSearchParams(init.form)
+    }
+
+    if ((initBody != null || (input instanceof Request && input.body !== null)) &&
       (method === 'GET' || method === 'HEAD')) {
       throw new TypeError('Request with GET/HEAD method cannot have body')
     }
 
-    const inputBody = init.body != null
-      ? init.body
+    const inputBody = initBody != null
+      ? initBody
       : input instanceof Request && input.body !== null
         ? clone(input)
         : null
@@ -73,13 +105,21 @@ export default class Request {
       this.useElectronNet = Boolean(process.versions.electron)
     }
 
+    this.onUploadProgress = init.onUploadProgress || input.onUploadProgress || null
+    this.onDownloadProgress = init.onDownloadProgress || input.onDownloadProgress || null
+    this.useWebStreams = Boolean(init.useWebStreams !== undefined
+      ? init.useWebStreams
+      : input.useWebStreams)
+
+    if (this.useWebStreams && !getReadableStreamClass()) throw new Error('WHATWG streams are not supported by this version of Node.js')
+
     if (this.useElectronNet) {
       this.useSessionCookies = init.useSessionCookies !== undefined
         ? init.useSessionCookies
         : input.useSessionCookies
     }
 
-    if (init.body != null) {
+    if (initBody != null) {
       const contentType = extractContentType(this)
       if (contentType !== null && !this.headers.has('Content-Type')) {
         this.headers.append('Content-Type', contentType)
@@ -93,7 +133,36 @@ export default class Request {
         ? input.follow
         : 20
     this.counter = init.counter || input.counter || 0
+    this.connectTimeout = init.connectTimeout || input.connectTimeout || 0
+    this.headersTimeout = init.headersTimeout || input.headersTimeout || 0
+    this.idleTimeout = init.idleTimeout || input.idleTimeout || 0
+    this.totalTimeout = init.totalTimeout || input.totalTimeout || 0
     this.session = init.session || input.session
+    this.retry = normalizeRetryOptions(init.retry !== undefined ? init.retry : input.retry)
+    this.cache = init.cache || input.cache || 'default'
+    this.cacheStore = init.cacheStore || input.cacheStore || null
+    this.cookieJar = init.cookieJar || input.cookieJar || null
+    this.onRedirect = init.onRedirect || input.onRedirect || null
+    this.compress = init.compress || input.compress || null
+    this.decompress = init.decompress !== undefined
+      ? init.decompress
+      : input.decompress !== undefined
+        ? input.decompress
+        : true
+    this.lenientDecoding = init.lenientDecoding !== undefined
+      ? init.lenientDecoding
+      : input.lenientDecoding !== undefined
+        ? input.lenientDecoding
+        : false
+    this.onWarning = init.onWarning || input.onWarning || null
+
+    if (this.compress && COMPRESS_CODINGS.indexOf(this.compress) === -1) {
+      throw new TypeError(`Invalid compress option: ${this.compress}, must be one of ${COMPRESS_CODINGS.join(', ')}`)
+    }
+
+    if (CACHE_MODES.indexOf(this.cache) === -1) {
+      throw new TypeError(`Invalid cache mode: ${this.cache}, must be one of ${CACHE_MODES.join(', ')}`)
+    }
 
     this[PARSED_URL] = parsedURL
     Object.defineProperty(this, Symbol.toStringTag, {
@@ -127,7 +196,14 @@ Object.defineProperty(Request.prototype, Symbol.toStringTag, {
   configurable: true
 })
 
-export function getNodeRequestOptions (request) {
+/**
+ * Convert a Request to Node.js http request options
+ *
+ * @param {Request} request
+ * @param {string} [siteForCookies] URL of the first request of the redirect chain, for SameSite cookies
+ * @return {Object}
+ */
+export function getNodeRequestOptions (request, siteForCookies = request.url) {
   const parsedURL = request[PARSED_URL]
   const headers = new Headers(request.headers)
 
@@ -156,6 +232,11 @@ export function getNodeRequestOptions (request) {
       contentLengthValue = String(totalBytes)
     }
   }
+  // the body is compressed when written, as per the `compress` option
+  if (request.compress && request.body != null) {
+    const contentEncoding = headers.get('Content-Encoding')
+    headers.set('Content-Encoding', contentEncoding ? `${contentEncoding}, ${request.compress}` : request.compress)
+  }
   if (contentLengthValue) {
     if (!request.useElectronNet) headers.set('Content-Length', contentLengthValue)
   } else {
@@ -167,8 +248,28 @@ export function getNodeRequestOptions (request) {
     headers.set('User-Agent', `electron-fetch/1.0 ${request.useElectronNet ? 'electron' : 'node'} (+https://github.com/arantes555/electron-fetch)`)
   }
 
+  // HTTP-network-or-cache fetch steps 15-16
+  if (request.cache === 'no-store' || request.cache === 'reload') {
+    if (!headers.has('Pragma')) headers.set('Pragma', 'no-cache')
+    if (!headers.has('Cache-Control')) headers.set('Cache-Control', 'no-cache')
+  } else if (request.cache === 'no-cache' && !headers.has('Cache-Control')) {
+    headers.set('Cache-Control', 'max-age=0')
+  }
+
   // HTTP-network-or-cache fetch step 16
-  headers.set('Accept-Encoding', 'gzip,deflate')
+  // on Electron, decoding is left to the net module. Without decompression, the header is left to the user
+  if (request.decompress) {
+    headers.set('Accept-Encoding', request.useElectronNet ? 'gzip,deflate' : ACCEPT_ENCODING)
+  }
+
+  // HTTP-network-or-cache fetch step 17, cookies of the jar are appended to user-provided ones
+  // (the Electron session sends them itself when session cookies are used)
+  if (request.cookieJar && !(request.useElectronNet && request.useSessionCookies)) {
+    const cookies = request.cookieJar.getCookieString(request.url, { siteForCookies, method: request.method })
+    if (cookies) {
+      headers.set('Cookie', headers.has('Cookie') ? `${headers.get('Cookie')}; ${cookies}` : cookies)
+    }
+  }
 
   // HTTP-network fetch step 4
   // chunked encoding is handled by Node.js when not running in electron
@@ -22,6 +22,8 @@ export default class Response {
     this.status = opts.status || 200
     this.statusText = opts.statusText || STATUS_CODES[this.status]
     this.headers = new Headers(opts.headers)
+    // electron-fetch extension: redirects followed to get this response
+    this.redirectChain = opts.redirectChain || []
     this.useElectronNet = opts.useElectronNet
 
     Object.defineProperty(this, Symbol.toStringTag, {
@@ -39,6 +41,13 @@ export default class Response {
     return this.status >= 200 && this.status < 300
   }
 
+  /**
+   * Whether the response was obtained by following redirects
+   */
+  get redirected () {
+    return this.redirectChain.length > 0
+  }
+
   /**
    * Clone this response
    *
@@ -51,6 +60,7 @@ export default class Response {
       statusText: this.statusText,
       headers: this.headers,
       ok: this.ok,
+      redirectChain: this.redirectChain,
       useElectronNet: this.useElectronNet
     })
   }
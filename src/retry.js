@@ -0,0 +1,181 @@
+/**
+ * retry.js
+ *
+ * Retry policy with exponential backoff for transient failures
+ */
+
+import Stream from 'stream'
+import FetchError from './fetch-error.js'
+import { getAbortError } from './abort.js'
+import { isAsyncIterable, isReadableStream } from './streams.js'
+
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 2,
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'],
+  statuses: [408, 429, 500, 502, 503, 504],
+  errorTypes: ['system', 'request-timeout', 'connect-timeout', 'headers-timeout'],
+  delay: 1000,
+  factor: 2,
+  maxDelay: 30000,
+  jitter: true,
+  retryAfter: true
+}
+
+/**
+ * Normalize the `retry` option
+ *
+ * @param {number|Object|null} retry Number of retries, or retry options
+ * @return {Object|null}
+ */
+export function normalizeRetryOptions (retry) {
+  if (!retry) {
+    return null
+  }
+  if (typeof retry === 'number') {
+    retry = { retries: retry }
+  }
+  if (typeof retry !== 'object') {
+    throw new TypeError('The "retry" option must be a number or an object')
+  }
+  const options = Object.assign({}, DEFAULT_RETRY_OPTIONS, retry)
+  options.methods = options.methods.map(method => method.toUpperCase())
+  return options
+}
+
+/**
+ * Check that the body of a request can be sent again
+ *
+ * @param {Request} request
+ * @return {boolean}
+ */
+function isReplayable (request) {
+  const { body } = request
+  return !(body instanceof Stream || isReadableStream(body) || isAsyncIterable(body))
+}
+
+/**
+ * Parse the Retry-After header of a response
+ *
+ * @param {Response} response
+ * @return {number|null} Delay in ms
+ */
+function getRetryAfter (response) {
+  const value = response.headers.get('Retry-After')
+  if (value === null) {
+    return null
+  }
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value, 10) * 1000
+  }
+  const date = Date.parse(value)
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0)
+}
+
+/**
+ * Compute the delay before the given retry
+ * ref: https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/ ("full jitter")
+ *
+ * @param {Object} options Retry options
+ * @param {number} attempt Number of attempts already made, minus one
+ * @return {number} Delay in ms
+ */
+function getBackoffDelay (options, attempt) {
+  const delay = Math.min(options.delay * Math.pow(options.factor, attempt), options.maxDelay)
+  return options.jitter ? Math.round(Math.random() * delay) : delay
+}
+
+/**
+ * Wait before retrying, unless the request gets aborted
+ *
+ * @param {number} delay Delay in ms
+ * @param {AbortSignal} [signal]
+ * @return {Promise}
+ */
+function wait (delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(getAbortError(signal))
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(getAbortError(signal))
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, delay)
+    if (signal) signal.addEventListener('abort', onAbort)
+  })
+}
+
+/**
+ * Abort the transfer of a response that is about to be retried
+ *
+ * @param {Response} response
+ */
+function discardResponse (response) {
+  const { body } = response
+  if (isReadableStream(body)) {
+    body.cancel().catch(() => {})
+  } else if (body instanceof Stream) {
+    body.emit('cancel-request')
+    body.resume()
+  }
+}
+
+/**
+ * Send a request, retrying on transient failures as per `request.retry`
+ *
+ * @param {function} send Sends a Request, returns a promise of a Response
+ * @param {Request} request Request to send
+ * @param {number|null} [deadline] Time by which `totalTimeout` expires, no retry waits past it
+ * @return {Promise}
+ */
+export default function fetchWithRetry (send, request, deadline = null) {
+  const options = request.retry
+
+  if (options.methods.indexOf(request.method) === -1 || options.retries <= 0) {
+    return send(request)
+  }
+
+  if (!isReplayable(request)) {
+    return Promise.reject(new TypeError(`Cannot retry ${request.method} request to ${request.url}: stream bodies cannot be sent again, use a string, Buffer or Blob body instead`))
+  }
+
+  const pause = delay => {
+    if (deadline !== null && Date.now() + delay > deadline) {
+      return Promise.reject(new FetchError(`total timeout at: ${request.url} (over ${request.totalTimeout}ms)`, 'total-timeout'))
+    }
+    return wait(delay, request.signal)
+  }
+
+  const attempt = n => send(request.clone()).then(response => {
+    if (n >= options.retries || options.statuses.indexOf(response.status) === -1) {
+      return response
+    }
+
+    let delay = getBackoffDelay(options, n)
+    if (options.retryAfter) {
+      const retryAfter = getRetryAfter(response)
+      if (retryAfter !== null) {
+        // do not wait longer than allowed, let the caller handle the response instead
+        if (retryAfter > options.maxDelay) {
+          return response
+        }
+        delay = retryAfter
+      }
+    }
+
+    discardResponse(response)
+    return pause(delay).then(() => attempt(n + 1))
+  }, err => {
+    if (n >= options.retries || !(err instanceof FetchError) || options.errorTypes.indexOf(err.type) === -1) {
+      throw err
+    }
+
+    return pause(getBackoffDelay(options, n)).then(() => attempt(n + 1))
+  })
+
+  return attempt(0)
+}
@@ -0,0 +1,175 @@
+/**
+ * streams.js
+ *
+ * Conversions between Node.js streams, WHATWG ReadableStreams and async iterables
+ */
+
+import { Readable } from 'stream'
+
+/**
+ * Get the WHATWG ReadableStream class of the current runtime, if any
+ *
+ * @return {function|null}
+ */
+export function getReadableStreamClass () {
+  if (typeof global.ReadableStream === 'function') {
+    return global.ReadableStream
+  }
+  try {
+    return require('stream/web').ReadableStream
+  } catch (err) {
+    // istanbul ignore next: Node.js < 16.5
+    return null
+  }
+}
+
+/**
+ * Check if `obj` is a WHATWG ReadableStream
+ *
+ * @param {*} obj
+ * @return {boolean}
+ */
+export function isReadableStream (obj) {
+  return obj != null &&
+    typeof obj === 'object' &&
+    typeof obj.getReader === 'function' &&
+    typeof obj.cancel === 'function' &&
+    typeof obj.tee === 'function'
+}
+
+/**
+ * Check if `obj` is an async iterable, such as an async generator
+ *
+ * @param {*} obj
+ * @return {boolean}
+ */
+export function isAsyncIterable (obj) {
+  return obj != null &&
+    typeof obj === 'object' &&
+    typeof obj[Symbol.asyncIterator] === 'function'
+}
+
+/**
+ * Convert a chunk of body data to a Buffer, without copying it when possible
+ *
+ * @param {Buffer|ArrayBuffer|ArrayBufferView|string} chunk
+ * @return {Buffer}
+ */
+export function toBuffer (chunk) {
+  if (Buffer.isBuffer(chunk)) {
+    return chunk
+  } else if (typeof chunk === 'string') {
+    return Buffer.from(chunk)
+  } else if (ArrayBuffer.isView(chunk)) {
+    return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+  } else if (Object.prototype.toString.call(chunk) === '[object ArrayBuffer]') {
+    return Buffer.from(chunk)
+  }
+  throw new TypeError(`Body chunks must be strings, Buffers, ArrayBuffers or ArrayBufferViews, got ${Object.prototype.toString.call(chunk)}`)
+}
+
+/**
+ * Wrap a Node.js Readable stream into a WHATWG ReadableStream
+ *
+ * Cancelling the ReadableStream emits `cancel-request` on the Node.js stream,
+ * so that the underlying request can be aborted.
+ *
+ * @param {Stream} stream Node.js Readable stream
+ * @return {ReadableStream}
+ */
+export function nodeToReadableStream (stream) {
+  const ReadableStream = getReadableStreamClass()
+  let closed = false
+  return new ReadableStream({
+    start (controller) {
+      stream.pause()
+      stream.on('data', chunk => {
+        if (closed) return
+        chunk = toBuffer(chunk)
+        controller.enqueue(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength))
+        if (controller.desiredSize <= 0) stream.pause()
+      })
+      stream.once('end', () => {
+        if (closed) return
+        closed = true
+        controller.close()
+      })
+      stream.once('error', err => {
+        if (closed) return
+        closed = true
+        controller.error(err)
+      })
+    },
+    pull () {
+      stream.resume()
+    },
+    cancel () {
+      closed = true
+      stream.emit('cancel-request')
+      stream.destroy()
+    }
+  })
+}
+
+/**
+ * Create a Node.js Readable stream pulling its chunks from `next`
+ *
+ * Destroying the stream, or emitting `cancel-request` on it, calls `cancel`.
+ *
+ * @param {function} next Returns a promise of an iterator result
+ * @param {function} cancel Returns a promise, called with the destroy error if any
+ * @return {Readable}
+ */
+function createPullStream (next, cancel) {
+  const stream = new Readable({
+    read () {
+      const pump = () => next().then(({ done, value }) => {
+        if (done) {
+          this.push(null)
+          return
+        }
+        const chunk = toBuffer(value)
+        // pushing an empty chunk would not trigger another read
+        if (chunk.length === 0) return pump()
+        this.push(chunk)
+      })
+      pump().catch(err => this.destroy(err))
+    },
+    destroy (err, callback) {
+      cancel(err).then(() => callback(err), () => callback(err))
+    }
+  })
+  stream.on('cancel-request', () => stream.destroy())
+  return stream
+}
+
+/**
+ * Wrap a WHATWG ReadableStream into a Node.js Readable stream
+ *
+ * Destroying the Readable stream, or emitting `cancel-request` on it, cancels
+ * the ReadableStream.
+ *
+ * @param {ReadableStream} readableStream
+ * @return {Readable}
+ */
+export function readableStreamToNode (readableStream) {
+  const reader = readableStream.getReader()
+  return createPullStream(() => reader.read(), err => reader.cancel(err))
+}
+
+/**
+ * Wrap an async iterable into a Node.js Readable stream
+ *
+ * Destroying the Readable stream, or emitting `cancel-request` on it, calls
+ * the iterator's `return()`, so that generators can run their `finally` blocks.
+ *
+ * @param {AsyncIterable} iterable Yields Buffers, strings, ArrayBuffers or ArrayBufferViews
+ * @return {Readable}
+ */
+export function asyncIterableToNode (iterable) {
+  const iterator = iterable[Symbol.asyncIterator]()
+  return createPullStream(
+    () => iterator.next(),
+    () => Promise.resolve(typeof iterator.return === 'function' ? iterator.return() : undefined)
+  )
+}
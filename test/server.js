@@ -2,7 +2,7 @@ import * as http from 'http'
 // eslint-disable-next-line n/no-deprecated-api
 import { parse } from 'url'
 import * as zlib from 'zlib'
-import { convert } from 'encoding'
+import { encode } from 'iconv-lite'
 import { multipart as Multipart } from 'parted'
 import proxy from 'proxy'
 import basicAuthParser from 'basic-auth-parser'
@@ -20,6 +20,8 @@ export class TestServer {
       socket.setTimeout(1500)
     })
     this.inFlightRequests = 0
+    this.retryAttempts = {}
+    this.cacheHits = {}
   }
 
   start (cb) {
@@ -111,6 +113,41 @@ export class TestServer {
         })
       }
 
+      if (p === '/brotli') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/plain')
+        res.setHeader('Content-Encoding', 'br')
+        res.end(zlib.brotliCompressSync('hello world'))
+      }
+
+      if (p === '/zstd') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/plain')
+        res.setHeader('Content-Encoding', 'zstd')
+        res.end(zlib.zstdCompressSync('hello world'))
+      }
+
+      if (p === '/gzip-br') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/plain')
+        res.setHeader('Content-Encoding', 'gzip, br')
+        res.end(zlib.brotliCompressSync(zlib.gzipSync('hello world')))
+      }
+
+      if (p === '/deflate-raw-gzip') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/plain')
+        res.setHeader('Content-Encoding', 'deflate, identity, GZIP')
+        res.end(zlib.gzipSync(zlib.deflateRawSync('hello world')))
+      }
+
+      if (p === '/gzip-sdch') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/plain')
+        res.setHeader('Content-Encoding', 'gzip, sdch')
+        res.end('fake sdch string')
+      }
+
       if (p === '/sdch') {
         res.statusCode = 200
         res.setHeader('Content-Type', 'text/plain')
@@ -125,6 +162,13 @@ export class TestServer {
         res.end('fake gzip string')
       }
 
+      if (p === '/mislabeled-deflate') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/plain')
+        res.setHeader('Content-Encoding', 'gzip')
+        res.end(zlib.deflateSync('hello world'))
+      }
+
       if (p === '/timeout') {
         setTimeout(function () {
           res.statusCode = 200
@@ -168,25 +212,25 @@ export class TestServer {
       if (p === '/encoding/gbk') {
         res.statusCode = 200
         res.setHeader('Content-Type', 'text/html')
-        res.end(convert('<meta charset="gbk"><div>中文</div>', 'gbk'))
+        res.end(encode('<meta charset="gbk"><div>中文</div>', 'gbk'))
       }
 
       if (p === '/encoding/gb2312') {
         res.statusCode = 200
         res.setHeader('Content-Type', 'text/html')
-        res.end(convert('<meta http-equiv="Content-Type" content="text/html; charset=gb2312"><div>中文</div>', 'gb2312'))
+        res.end(encode('<meta http-equiv="Content-Type" content="text/html; charset=gb2312"><div>中文</div>', 'gb2312'))
       }
 
       if (p === '/encoding/shift-jis') {
         res.statusCode = 200
         res.setHeader('Content-Type', 'text/html; charset=Shift-JIS')
-        res.end(convert('<div>日本語</div>', 'Shift_JIS'))
+        res.end(encode('<div>日本語</div>', 'Shift_JIS'))
       }
 
       if (p === '/encoding/euc-jp') {
         res.statusCode = 200
         res.setHeader('Content-Type', 'text/xml')
-        res.end(convert('<?xml version="1.0" encoding="EUC-JP"?><title>日本語</title>', 'EUC-JP'))
+        res.end(encode('<?xml version="1.0" encoding="EUC-JP"?><title>日本語</title>', 'EUC-JP'))
       }
 
       if (p === '/encoding/utf8') {
@@ -197,13 +241,13 @@ export class TestServer {
       if (p === '/encoding/order1') {
         res.statusCode = 200
         res.setHeader('Content-Type', 'charset=gbk; text/plain')
-        res.end(convert('中文', 'gbk'))
+        res.end(encode('中文', 'gbk'))
       }
 
       if (p === '/encoding/order2') {
         res.statusCode = 200
         res.setHeader('Content-Type', 'text/plain; charset=gbk; qs=1')
-        res.end(convert('中文', 'gbk'))
+        res.end(encode('中文', 'gbk'))
       }
 
       if (p === '/encoding/chunked') {
@@ -211,7 +255,44 @@ export class TestServer {
         res.setHeader('Content-Type', 'text/html')
         res.setHeader('Transfer-Encoding', 'chunked')
         res.write('a'.repeat(10))
-        res.end(convert('<meta http-equiv="Content-Type" content="text/html; charset=Shift_JIS" /><div>日本語</div>', 'Shift_JIS'))
+        res.end(encode('<meta http-equiv="Content-Type" content="text/html; charset=Shift_JIS" /><div>日本語</div>', 'Shift_JIS'))
+      }
+
+      if (p === '/encoding/bom') {
+        res.statusCode = 200
+        // the byte order mark prevails over the header
+        res.setHeader('Content-Type', 'text/html; charset=gbk')
+        res.end(Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('<meta charset="gbk">中文', 'utf16le')]))
+      }
+
+      if (p === '/encoding/invalid-charset') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/html; charset=unknown')
+        res.end(encode('<meta charset="gbk"><div>中文</div>', 'gbk'))
+      }
+
+      if (p === '/encoding/quoted-charset') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/plain; charset="latin1"')
+        res.end(Buffer.from([0x80, 0xE9]))
+      }
+
+      if (p === '/encoding/prescan') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/html')
+        // meta tags in comments, and content attributes without http-equiv, are ignored
+        res.end(encode('<!-- <meta charset="euc-jp"> --><html lang="ja" data-x=\'<meta charset="gbk">\'><meta content="text/html; charset=euc-jp"><meta http-equiv="Content-Type" content="text/html; charset=Shift_JIS"><div>日本語</div>', 'Shift_JIS'))
+      }
+
+      if (p === '/encoding/split') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/plain; charset=Shift_JIS')
+        const buffer = encode('日本語'.repeat(1000), 'Shift_JIS')
+        // odd chunk sizes, splitting characters across chunks
+        for (let i = 0; i < buffer.length; i += 333) {
+          res.write(buffer.slice(i, i + 333))
+        }
+        res.end()
       }
 
       if (p === '/encoding/invalid') {
@@ -219,7 +300,7 @@ export class TestServer {
         res.setHeader('Content-Type', 'text/html')
         res.setHeader('Transfer-Encoding', 'chunked')
         res.write('a'.repeat(1200))
-        res.end(convert('中文', 'gbk'))
+        res.end(encode('中文', 'gbk'))
       }
 
       if (p === '/redirect/301') {
@@ -252,6 +333,12 @@ export class TestServer {
         res.end()
       }
 
+      if (p === '/redirect/to') {
+        res.statusCode = 302
+        res.setHeader('Location', parse(req.url, true).query.url)
+        res.end()
+      }
+
       if (p === '/redirect/chain') {
         res.statusCode = 301
         res.setHeader('Location', '/redirect/301')
@@ -292,6 +379,102 @@ export class TestServer {
         res.end('invalid json')
       }
 
+      if (p === '/form-data/multipart') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'multipart/form-data; boundary=----electronfetchboundary')
+        res.write('preamble\r\n------electronfetchboundary\r\nContent-Disposition: form-data; name="field"\r\n\r\nvalue')
+        setTimeout(function () {
+          res.write('\r\n------electronfetchbou')
+        }, 10)
+        setTimeout(function () {
+          res.end('ndary\r\nContent-Disposition: form-data; name="file"; filename="hello.txt"\r\nContent-Type: text/plain\r\n\r\nhello\r\nworld\r\n------electronfetchboundary--\r\n')
+        }, 20)
+      }
+
+      if (p === '/form-data/urlencoded') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'application/x-www-form-urlencoded')
+        res.end('a=1&b=2&a=3&c=%C3%A9+%26')
+      }
+
+      if (p === '/form-data/invalid') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'multipart/form-data; boundary=xyz')
+        res.end('--xyz\r\nContent-Disposition: form-data; name="field"\r\n\r\nvalue')
+      }
+
+      if (p === '/cache') {
+        const query = parse(req.url, true).query
+        const hits = (this.cacheHits[query.id] || 0) + 1
+        this.cacheHits[query.id] = hits
+        res.setHeader('Date', new Date().toUTCString())
+        if (query.cc) res.setHeader('Cache-Control', query.cc)
+        if (query.expires) res.setHeader('Expires', query.expires)
+        if (query.etag) res.setHeader('ETag', query.etag)
+        if (query['last-modified']) res.setHeader('Last-Modified', query['last-modified'])
+        if (query.vary) res.setHeader('Vary', query.vary)
+        if ((query.etag && req.headers['if-none-match'] === query.etag) ||
+          (query['last-modified'] && req.headers['if-modified-since'] === query['last-modified'])) {
+          res.statusCode = 304
+          res.setHeader('X-Revalidated', String(hits))
+          res.end()
+        } else {
+          res.statusCode = 200
+          res.setHeader('Content-Type', 'text/plain')
+          const body = `hit ${hits}${query.vary ? ` ${req.headers[query.vary.toLowerCase()]}` : ''}`
+          if (query.stall) {
+            // send part of the body, then stall
+            res.setHeader('Content-Length', '100')
+            res.write(body)
+            setTimeout(() => res.destroy(), 500)
+            return
+          }
+          if (query.gzip) res.setHeader('Content-Encoding', 'gzip')
+          res.end(query.gzip ? zlib.gzipSync(body) : body)
+        }
+      }
+
+      if (p === '/cookies/set') {
+        const query = parse(req.url, true).query
+        res.setHeader('Set-Cookie', [].concat(query.c || []))
+        if (query.to) {
+          res.statusCode = 302
+          res.setHeader('Location', query.to)
+          res.end()
+        } else {
+          res.statusCode = 200
+          res.setHeader('Content-Type', 'text/plain')
+          res.end('ok')
+        }
+      }
+
+      if (p === '/retry') {
+        const query = parse(req.url, true).query
+        const attempts = (this.retryAttempts[query.id] || 0) + 1
+        this.retryAttempts[query.id] = attempts
+        if (attempts <= parseInt(query.failures, 10)) {
+          if (query.reset) {
+            res.destroy()
+          } else {
+            res.statusCode = parseInt(query.status, 10) || 503
+            if (query['retry-after']) res.setHeader('Retry-After', query['retry-after'])
+            res.end('failure')
+          }
+        } else {
+          res.statusCode = 200
+          res.setHeader('Content-Type', 'application/json')
+          let body = ''
+          req.on('data', function (c) { body += c })
+          req.on('end', function () {
+            res.end(JSON.stringify({
+              method: req.method,
+              attempts,
+              body
+            }))
+          })
+        }
+      }
+
       if (p === '/no-content') {
         res.statusCode = 204
         res.end()
@@ -314,6 +497,27 @@ export class TestServer {
         res.end()
       }
 
+      if (p === '/inspect/decoded') {
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'application/json')
+        const chunks = []
+        req.on('data', chunk => chunks.push(chunk))
+        req.on('end', () => {
+          let body = Buffer.concat(chunks)
+          const codings = (req.headers['content-encoding'] || '').split(',').map(coding => coding.trim()).filter(Boolean)
+          for (const coding of codings.reverse()) {
+            if (coding === 'gzip') body = zlib.gunzipSync(body)
+            if (coding === 'deflate') body = zlib.inflateSync(body)
+            if (coding === 'br') body = zlib.brotliDecompressSync(body)
+          }
+          res.end(JSON.stringify({
+            headers: req.headers,
+            encodedLength: Buffer.concat(chunks).length,
+            body: body.toString()
+          }))
+        })
+      }
+
       if (p === '/inspect') {
         res.statusCode = 200
         res.setHeader('Content-Type', 'application/json')
@@ -1,9 +1,11 @@
-import fetch, { FetchError, Headers, Request, Response } from '../'
+import fetch, { CookieJar, DiskCacheStore, FetchError, FormData, Headers, MemoryCacheStore, Request, Response } from '../'
 
 import { ok } from 'assert'
 
 ok(typeof fetch === 'function')
 
+ok(typeof fetch.create === 'function')
+
 ok(typeof FetchError === 'function')
 
 ok(typeof Headers === 'function')
@@ -12,4 +14,12 @@ ok(typeof Request === 'function')
 
 ok(typeof Response === 'function')
 
+ok(typeof FormData === 'function')
+
+ok(typeof MemoryCacheStore === 'function')
+
+ok(typeof DiskCacheStore === 'function')
+
+ok(typeof CookieJar === 'function')
+
 console.log('typings look ok')
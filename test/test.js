@@ -9,24 +9,35 @@ import resumer from 'resumer'
 import FormData from 'form-data'
 // eslint-disable-next-line n/no-deprecated-api
 import { parse as parseURL } from 'url'
-import { URL } from 'whatwg-url' // TODO: remove
+import { URL, URLSearchParams as WhatwgURLSearchParams } from 'whatwg-url' // TODO: remove
+import * as dns from 'dns'
 import * as fs from 'fs'
+import * as http from 'http'
+import * as net from 'net'
+import * as os from 'os'
+import * as path from 'path'
+import * as zlib from 'zlib'
 import { AbortController } from 'abortcontroller-polyfill/dist/cjs-ponyfill'
 
 import { TestProxy, TestServer } from './server'
 // test subjects
-import fetch, { FetchError, Headers, Request, Response } from '../src/'
+import fetch, { CookieJar, DiskCacheStore, FetchError, FormData as FetchFormData, Headers, MemoryCacheStore, Request, Response } from '../src/'
 import FetchErrorOrig from '../src/fetch-error.js'
+import FormDataOrig from '../src/form-data.js'
 import HeadersOrig from '../src/headers.js'
 import RequestOrig from '../src/request.js'
 import ResponseOrig from '../src/response.js'
 import Body from '../src/body.js'
-import Blob from '../src/blob.js'
+import Blob, { File } from '../src/blob.js'
+import { getReadableStreamClass } from '../src/streams.js'
 
 chai.use(chaiPromised)
 
 const { expect, assert } = chai
 
+// null on Node.js < 16.5
+const ReadableStream = getReadableStreamClass()
+
 const supportToString = ({ [Symbol.toStringTag]: 'z' }).toString() === '[object z]'
 
 const testServer = new TestServer()
@@ -50,6 +61,18 @@ const deepEqual = (value, expectedValue) => {
   }
 }
 const deepIteratesOver = (value, expectedValue) => deepEqual(Array.from(value), Array.from(expectedValue))
+const asyncIterableOf = (chunks, onReturn) => ({
+  [Symbol.asyncIterator] () {
+    let i = 0
+    return {
+      next: () => Promise.resolve(i < chunks.length ? { done: false, value: chunks[i++] } : { done: true }),
+      return: () => {
+        if (onReturn) onReturn()
+        return Promise.resolve({ done: true })
+      }
+    }
+  }
+})
 
 before(function (done) {
   testServer.start(() =>
@@ -87,6 +110,7 @@ const createTestSuite = (useElectronNet) => {
       expect(Headers).to.equal(HeadersOrig)
       expect(Response).to.equal(ResponseOrig)
       expect(Request).to.equal(RequestOrig)
+      expect(FetchFormData).to.equal(FormDataOrig)
     })
 
     if (supportToString) {
@@ -262,16 +286,32 @@ const createTestSuite = (useElectronNet) => {
     it('should follow redirect code 301', function () {
       url = `${base}redirect/301`
       return fetch(url, { useElectronNet }).then(res => {
-        if (!useElectronNet) expect(res.url).to.equal(`${base}inspect`) // actually follows the redirects, just does not update the res.url ...
+        expect(res.url).to.equal(`${base}inspect`)
         expect(res.status).to.equal(200)
         expect(res.ok).to.be.true
       })
     })
 
+    it('should keep the agent option when following redirects', function () {
+      if (useElectronNet) return this.skip() // relies on a Node.js agent
+      const agent = new http.Agent()
+      const addRequest = agent.addRequest
+      let requests = 0
+      agent.addRequest = function (...args) {
+        requests++
+        return addRequest.apply(this, args)
+      }
+      url = `${base}redirect/301`
+      return fetch(url, { agent }).then(res => {
+        expect(res.url).to.equal(`${base}inspect`)
+        expect(requests).to.equal(2)
+      })
+    })
+
     it('should follow redirect code 302', function () {
       url = `${base}redirect/302`
       return fetch(url, { useElectronNet }).then(res => {
-        if (!useElectronNet) expect(res.url).to.equal(`${base}inspect`)
+        expect(res.url).to.equal(`${base}inspect`)
         expect(res.status).to.equal(200)
       })
     })
@@ -279,7 +319,7 @@ const createTestSuite = (useElectronNet) => {
     it('should follow redirect code 303', function () {
       url = `${base}redirect/303`
       return fetch(url, { useElectronNet }).then(res => {
-        if (!useElectronNet) expect(res.url).to.equal(`${base}inspect`)
+        expect(res.url).to.equal(`${base}inspect`)
         expect(res.status).to.equal(200)
       })
     })
@@ -287,7 +327,7 @@ const createTestSuite = (useElectronNet) => {
     it('should follow redirect code 307', function () {
       url = `${base}redirect/307`
       return fetch(url, { useElectronNet }).then(res => {
-        if (!useElectronNet) expect(res.url).to.equal(`${base}inspect`)
+        expect(res.url).to.equal(`${base}inspect`)
         expect(res.status).to.equal(200)
       })
     })
@@ -295,7 +335,7 @@ const createTestSuite = (useElectronNet) => {
     it('should follow redirect code 308', function () {
       url = `${base}redirect/308`
       return fetch(url, { useElectronNet }).then(res => {
-        if (!useElectronNet) expect(res.url).to.equal(`${base}inspect`)
+        expect(res.url).to.equal(`${base}inspect`)
         expect(res.status).to.equal(200)
       })
     })
@@ -303,7 +343,7 @@ const createTestSuite = (useElectronNet) => {
     it('should follow redirect chain', function () {
       url = `${base}redirect/chain`
       return fetch(url, { useElectronNet }).then(res => {
-        if (!useElectronNet) expect(res.url).to.equal(`${base}inspect`)
+        expect(res.url).to.equal(`${base}inspect`)
         expect(res.status).to.equal(200)
       })
     })
@@ -316,7 +356,7 @@ const createTestSuite = (useElectronNet) => {
         useElectronNet
       }
       return fetch(url, opts).then(res => {
-        if (!useElectronNet) expect(res.url).to.equal(`${base}inspect`)
+        expect(res.url).to.equal(`${base}inspect`)
         expect(res.status).to.equal(200)
         return res.json().then(result => {
           expect(result.method).to.equal('GET')
@@ -333,7 +373,7 @@ const createTestSuite = (useElectronNet) => {
         useElectronNet
       }
       return fetch(url, opts).then(res => {
-        if (!useElectronNet) expect(res.url).to.equal(`${base}inspect`)
+        expect(res.url).to.equal(`${base}inspect`)
         expect(res.status).to.equal(200)
         return res.json().then(result => {
           expect(result.method).to.equal('GET')
@@ -350,7 +390,7 @@ const createTestSuite = (useElectronNet) => {
         useElectronNet
       }
       return fetch(url, opts).then(res => {
-        if (!useElectronNet) expect(res.url).to.equal(`${base}inspect`)
+        expect(res.url).to.equal(`${base}inspect`)
         expect(res.status).to.equal(200)
         return res.json().then(result => {
           expect(result.method).to.equal('GET')
@@ -372,73 +412,97 @@ const createTestSuite = (useElectronNet) => {
           })
       })
     } else {
-      it('should obey maximum redirect, reject case', function () { // Not compatible with electron.net
-        url = `${base}redirect/chain`
-        opts = {
-          follow: 1,
-          useElectronNet
-        }
+      it('should not allow the onLogin option', function () {
+        url = `${base}inspect`
+        opts = { onLogin: () => Promise.resolve(undefined), useElectronNet }
         return expect(fetch(url, opts)).to.eventually.be.rejected
-          .and.be.an.instanceOf(FetchError)
-          .and.have.property('type', 'max-redirect')
+          .and.be.an.instanceOf(Error, '"onLogin" option is only supported with "useElectronNet" enabled')
       })
+    }
 
-      it('should obey redirect chain, resolve case', function () { // useless, follow option not compatible
-        url = `${base}redirect/chain`
-        opts = {
-          follow: 2,
-          useElectronNet
-        }
-        return fetch(url, opts).then(res => {
-          expect(res.url).to.equal(`${base}inspect`)
-          expect(res.status).to.equal(200)
-        })
-      })
+    it('should obey maximum redirect, reject case', function () {
+      url = `${base}redirect/chain`
+      opts = {
+        follow: 1,
+        useElectronNet
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'max-redirect')
+    })
 
-      it('should allow not following redirect', function () { // Not compatible with electron.net
-        url = `${base}redirect/301`
-        opts = {
-          follow: 0,
-          useElectronNet
-        }
-        return expect(fetch(url, opts)).to.eventually.be.rejected
-          .and.be.an.instanceOf(FetchError)
-          .and.have.property('type', 'max-redirect')
+    it('should obey redirect chain, resolve case', function () {
+      url = `${base}redirect/chain`
+      opts = {
+        follow: 2,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.url).to.equal(`${base}inspect`)
+        expect(res.status).to.equal(200)
       })
+    })
 
-      it('should support redirect mode, manual flag', function () { // Not compatible with electron.net
-        url = `${base}redirect/301`
-        opts = {
-          redirect: 'manual',
-          useElectronNet
-        }
-        return fetch(url, opts).then(res => {
-          expect(res.url).to.equal(url)
-          expect(res.status).to.equal(301)
-          expect(res.headers.get('location')).to.equal(`${base}inspect`)
-        })
+    it('should expose the redirect chain', function () {
+      url = `${base}redirect/chain`
+      return fetch(url, { useElectronNet }).then(res => {
+        expect(res.redirected).to.be.true
+        expect(res.redirectChain.map(({ url, status }) => ({ url, status }))).to.deep.equal([
+          { url, status: 301 },
+          { url: `${base}redirect/301`, status: 301 }
+        ])
+        expect(res.redirectChain[0].headers).to.be.an.instanceOf(Headers)
+        expect(res.redirectChain[0].headers.get('location')).to.equal('/redirect/301')
+        expect(res.clone().redirectChain).to.deep.equal(res.redirectChain)
+        return res.text()
       })
+    })
 
-      it('should support redirect mode, error flag', function () { // Not compatible with electron.net
-        url = `${base}redirect/301`
-        opts = {
-          redirect: 'error',
-          useElectronNet
-        }
-        return expect(fetch(url, opts)).to.eventually.be.rejected
-          .and.be.an.instanceOf(FetchError)
-          .and.have.property('type', 'no-redirect')
+    it('should not mark direct responses as redirected', function () {
+      url = `${base}hello`
+      return fetch(url, { useElectronNet }).then(res => {
+        expect(res.redirected).to.be.false
+        expect(res.redirectChain).to.deep.equal([])
+        return res.text()
       })
+    })
 
-      it('should not allow the onLogin option', function () {
-        url = `${base}inspect`
-        opts = { onLogin: () => Promise.resolve(undefined), useElectronNet }
-        return expect(fetch(url, opts)).to.eventually.be.rejected
-          .and.be.an.instanceOf(Error, '"onLogin" option is only supported with "useElectronNet" enabled')
+    it('should allow not following redirect', function () {
+      url = `${base}redirect/301`
+      opts = {
+        follow: 0,
+        useElectronNet
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'max-redirect')
+    })
+
+    it('should support redirect mode, manual flag', function () {
+      url = `${base}redirect/301`
+      opts = {
+        redirect: 'manual',
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.url).to.equal(url)
+        expect(res.status).to.equal(301)
+        expect(res.headers.get('location')).to.equal(`${base}inspect`)
       })
-    }
+    })
+
+    it('should support redirect mode, error flag', function () {
+      url = `${base}redirect/301`
+      opts = {
+        redirect: 'error',
+        useElectronNet
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'no-redirect')
+    })
 
-    it('should support redirect mode, manual flag when there is no redirect', function () { // Pretty useless on electron, but why not
+    it('should support redirect mode, manual flag when there is no redirect', function () {
       url = `${base}hello`
       opts = {
         redirect: 'manual',
@@ -458,7 +522,7 @@ const createTestSuite = (useElectronNet) => {
         useElectronNet
       }
       return fetch(url, opts).then(res => {
-        if (!useElectronNet) expect(res.url).to.equal(`${base}inspect`) // Not compatible with electron.net
+        expect(res.url).to.equal(`${base}inspect`)
         return res.json()
       }).then(res => {
         expect(res.headers['x-custom-header']).to.equal('abc')
@@ -485,6 +549,112 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
+    it('should strip credentials on cross-origin redirects', function () {
+      const otherOrigin = `http://127.0.0.1:${testServer.port}/inspect`
+      url = `${base}redirect/to?url=${encodeURIComponent(otherOrigin)}`
+      opts = {
+        headers: { authorization: 'Basic abc', cookie: 'a=1', 'x-custom-header': 'abc' },
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.url).to.equal(otherOrigin)
+        return res.json()
+      }).then(res => {
+        expect(res.headers).to.not.have.property('authorization')
+        expect(res.headers).to.not.have.property('cookie')
+        expect(res.headers['x-custom-header']).to.equal('abc')
+      })
+    })
+
+    it('should strip credentials when onRedirect returns a URL of another origin', function () {
+      const otherOrigin = `http://127.0.0.1:${testServer.port}/inspect`
+      url = `${base}redirect/301`
+      opts = {
+        headers: { authorization: 'Basic abc', cookie: 'a=1' },
+        onRedirect: () => otherOrigin,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.url).to.equal(otherOrigin)
+        return res.json()
+      }).then(res => {
+        expect(res.headers).to.not.have.property('authorization')
+        expect(res.headers).to.not.have.property('cookie')
+      })
+    })
+
+    it('should keep credentials on same-origin redirects', function () {
+      url = `${base}redirect/301`
+      opts = {
+        headers: { authorization: 'Basic abc', cookie: 'a=1' },
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => res.json()).then(res => {
+        expect(res.headers.authorization).to.equal('Basic abc')
+        expect(res.headers.cookie).to.equal('a=1')
+      })
+    })
+
+    it('should call onRedirect before following each redirect', function () {
+      url = `${base}redirect/chain`
+      const calls = []
+      opts = {
+        onRedirect (request, response, nextUrl) {
+          calls.push([request.url, response.status, response.headers.get('location'), nextUrl])
+          expect(request).to.be.an.instanceOf(Request)
+          expect(response).to.be.an.instanceOf(Response)
+        },
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.url).to.equal(`${base}inspect`)
+        expect(calls).to.deep.equal([
+          [`${base}redirect/301`, 301, '/redirect/301', `${base}redirect/301`],
+          [`${base}inspect`, 301, '/inspect', `${base}inspect`]
+        ])
+      })
+    })
+
+    it('should allow onRedirect to rewrite headers of the next request', function () {
+      url = `${base}redirect/301`
+      opts = {
+        headers: { 'x-custom-header': 'abc' },
+        onRedirect (request) {
+          request.headers.set('x-custom-header', 'def')
+        },
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => res.json()).then(res => {
+        expect(res.headers['x-custom-header']).to.equal('def')
+      })
+    })
+
+    it('should allow onRedirect to change the next URL', function () {
+      url = `${base}redirect/301`
+      opts = {
+        onRedirect: () => Promise.resolve(`${base}hello`),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.url).to.equal(`${base}hello`)
+        expect(res.redirectChain).to.have.length(1)
+        return res.text()
+      }).then(text => {
+        expect(text).to.equal('world')
+      })
+    })
+
+    it('should reject when onRedirect throws', function () {
+      url = `${base}redirect/to?url=${encodeURIComponent(`http://127.0.0.1:${testServer.port}/inspect`)}`
+      opts = {
+        onRedirect (request, response, nextUrl) {
+          if (parseURL(nextUrl).hostname !== 'localhost') throw new Error('redirect blocked')
+        },
+        useElectronNet
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejectedWith(Error, 'redirect blocked')
+    })
+
     it('should handle client-error response', function () {
       url = `${base}error/400`
       return fetch(url, { useElectronNet }).then(res => {
@@ -539,6 +709,55 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
+    it('should decode multipart/form-data response with formData()', function () {
+      url = `${base}form-data/multipart`
+      return fetch(url, { useElectronNet }).then(res => res.formData()).then(formData => {
+        expect(Array.from(formData.keys())).to.deep.equal(['field', 'file'])
+        expect(formData.get('field')).to.equal('value')
+        const file = formData.get('file')
+        expect(file).to.be.an.instanceOf(Blob)
+        expect(file.name).to.equal('hello.txt')
+        expect(file.type).to.equal('text/plain')
+        return new Response(file).text()
+      }).then(text => {
+        expect(text).to.equal('hello\r\nworld')
+      })
+    })
+
+    it('should decode application/x-www-form-urlencoded response with formData()', function () {
+      url = `${base}form-data/urlencoded`
+      return fetch(url, { useElectronNet }).then(res => res.formData()).then(formData => {
+        expect(formData.getAll('a')).to.deep.equal(['1', '3'])
+        expect(formData.get('b')).to.equal('2')
+        expect(formData.get('c')).to.equal('é &')
+        expect(formData.get('d')).to.be.null
+      })
+    })
+
+    it('should reject truncated multipart/form-data response with formData()', function () {
+      url = `${base}form-data/invalid`
+      return fetch(url, { useElectronNet }).then(res => expect(res.formData()).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'invalid-form-data'))
+    })
+
+    it('should reject formData() on unsupported content type', function () {
+      url = `${base}plain`
+      return fetch(url, { useElectronNet }).then(res => expect(res.formData()).to.eventually.be.rejectedWith(TypeError)
+        .then(() => res.text()))
+    })
+
+    it('should support maximum response size with formData()', function () {
+      url = `${base}form-data/multipart`
+      opts = {
+        size: 100,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => expect(res.formData()).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'max-size'))
+    })
+
     it('should handle no content response', function () {
       url = `${base}no-content`
       return fetch(url, { useElectronNet }).then(res => {
@@ -604,17 +823,36 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
-    // /!\ This is disabled for now, because it seems broken in recent node
-    // it('should decompress slightly invalid gzip response', function () {
-    //   url = `${base}gzip-truncated`
-    //   return fetch(url, { useElectronNet }).then(res => {
-    //     expect(res.headers.get('content-type')).to.equal('text/plain')
-    //     return res.text().then(result => {
-    //       expect(result).to.be.a('string')
-    //       expect(result).to.equal('hello world')
-    //     })
-    //   })
-    // })
+    it('should reject slightly invalid gzip response', function () {
+      if (useElectronNet) return this.skip() // decoding is done by electron/net
+      url = `${base}gzip-truncated`
+      return fetch(url, { useElectronNet }).then(res => {
+        return expect(res.text()).to.eventually.be.rejected
+          .and.be.an.instanceOf(FetchError)
+          .and.have.property('code', 'Z_BUF_ERROR')
+      })
+    })
+
+    it('should decompress slightly invalid gzip response with lenientDecoding', function () {
+      if (useElectronNet) return this.skip() // decoding is done by electron/net
+      url = `${base}gzip-truncated`
+      const warnings = []
+      opts = {
+        lenientDecoding: true,
+        onWarning: warning => warnings.push(warning),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.headers.get('content-type')).to.equal('text/plain')
+        return res.text().then(result => {
+          expect(result).to.equal('hello world')
+          expect(warnings).to.have.lengthOf(1)
+          expect(warnings[0]).to.be.an.instanceOf(FetchError)
+          expect(warnings[0].type).to.equal('invalid-content-encoding')
+          expect(warnings[0].message).to.contain(url)
+        })
+      })
+    })
 
     it('should decompress deflate response', function () {
       url = `${base}deflate`
@@ -638,6 +876,74 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
+    it('should decompress brotli response', function () {
+      url = `${base}brotli`
+      return fetch(url, { useElectronNet }).then(res => res.text()).then(result => {
+        expect(result).to.equal('hello world')
+      })
+    })
+
+    it('should decompress zstd response', function () {
+      if (useElectronNet || !zlib.zstdCompressSync) return this.skip() // not supported by this version of Node.js
+      url = `${base}zstd`
+      return fetch(url, { useElectronNet }).then(res => res.text()).then(result => {
+        expect(result).to.equal('hello world')
+      })
+    })
+
+    it('should decompress response with stacked content codings', function () {
+      return Promise.all([
+        fetch(`${base}gzip-br`, { useElectronNet }).then(res => res.text()).then(result => {
+          expect(result).to.equal('hello world')
+        }),
+        fetch(`${base}deflate-raw-gzip`, { useElectronNet }).then(res => res.text()).then(result => {
+          expect(result).to.equal('hello world')
+        })
+      ])
+    })
+
+    it('should skip decompression if a stacked content coding is unsupported', function () {
+      if (useElectronNet) return this.skip() // rejected by the net module
+      url = `${base}gzip-sdch`
+      return fetch(url, { useElectronNet }).then(res => res.text()).then(result => {
+        expect(result).to.equal('fake sdch string')
+      })
+    })
+
+    it('should advertise the supported content codings', function () {
+      url = `${base}inspect`
+      return fetch(url, { useElectronNet }).then(res => res.json()).then(res => {
+        const codings = res.headers['accept-encoding'].split(',')
+        expect(codings).to.include.members(useElectronNet ? ['gzip', 'deflate'] : ['gzip', 'deflate', 'br'])
+        expect(codings.includes('zstd')).to.equal(!useElectronNet && Boolean(zlib.createZstdDecompress))
+      })
+    })
+
+    it('should not decompress response when decompress is false', function () {
+      if (useElectronNet) return this.skip() // the net module always decodes responses
+      url = `${base}gzip`
+      return fetch(url, { decompress: false, useElectronNet }).then(res => {
+        expect(res.headers.get('content-encoding')).to.equal('gzip')
+        return res.buffer()
+      }).then(buffer => {
+        expect(buffer.slice(0, 2)).to.deep.equal(Buffer.from([0x1f, 0x8b]))
+        expect(zlib.gunzipSync(buffer).toString()).to.equal('hello world')
+      })
+    })
+
+    it('should leave Accept-Encoding to the user when decompress is false', function () {
+      if (useElectronNet) return this.skip() // the net module sets its own
+      url = `${base}inspect`
+      return Promise.all([
+        fetch(url, { decompress: false, useElectronNet }).then(res => res.json()).then(res => {
+          expect(res.headers['accept-encoding']).to.be.undefined
+        }),
+        fetch(url, { decompress: false, headers: { 'Accept-Encoding': 'br' }, useElectronNet }).then(res => res.json()).then(res => {
+          expect(res.headers['accept-encoding']).to.equal('br')
+        })
+      ])
+    })
+
     it('should skip decompression if unsupported', function () {
       url = `${base}sdch`
       return fetch(url, { useElectronNet }).then(res => {
@@ -661,6 +967,70 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
+    it('should pass through response with an invalid content coding with lenientDecoding', function () {
+      if (useElectronNet) return this.skip() // decoding is done by electron/net
+      url = `${base}invalid-content-encoding`
+      const warnings = []
+      opts = {
+        lenientDecoding: true,
+        onWarning: warning => warnings.push(warning),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => res.text()).then(result => {
+        expect(result).to.equal('fake gzip string')
+        expect(warnings).to.have.lengthOf(1)
+        expect(warnings[0].type).to.equal('invalid-content-encoding')
+        expect(warnings[0].message).to.contain('not encoded with a supported coding')
+      })
+    })
+
+    it('should detect the actual content coding with lenientDecoding', function () {
+      if (useElectronNet) return this.skip() // decoding is done by electron/net
+      url = `${base}mislabeled-deflate`
+      const warnings = []
+      opts = {
+        lenientDecoding: true,
+        onWarning: warning => warnings.push(warning),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => res.text()).then(result => {
+        expect(result).to.equal('hello world')
+        expect(warnings).to.have.lengthOf(1)
+        expect(warnings[0].message).to.contain('declared as gzip is encoded with deflate')
+      })
+    })
+
+    it('should not warn about valid responses with lenientDecoding', function () {
+      url = `${base}deflate-raw-gzip`
+      const warnings = []
+      opts = {
+        lenientDecoding: true,
+        onWarning: warning => warnings.push(warning),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => res.text()).then(result => {
+        expect(result).to.equal('hello world')
+        expect(warnings).to.be.empty
+      })
+    })
+
+    it('should emit process warnings without onWarning', function () {
+      if (useElectronNet) return this.skip() // decoding is done by electron/net
+      url = `${base}invalid-content-encoding`
+      let warning
+      const onWarning = w => { warning = w }
+      process.on('warning', onWarning)
+      return fetch(url, { lenientDecoding: true, useElectronNet }).then(res => res.text()).then(result => {
+        expect(result).to.equal('fake gzip string')
+        // process warnings are emitted on next tick
+        return new Promise(resolve => setImmediate(resolve))
+      }).then(() => {
+        process.removeListener('warning', onWarning)
+        expect(warning).to.be.an.instanceOf(FetchError)
+          .and.have.property('type', 'invalid-content-encoding')
+      })
+    })
+
     it('should allow custom timeout', function () {
       this.timeout(500)
       url = `${base}timeout`
@@ -687,12 +1057,178 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
-    it('should handle aborts before request', function () {
-      const abort = new AbortController()
-      abort.abort()
-      url = `${base}timeout`
+    it('should allow custom timeout on connection', function () {
+      if (useElectronNet) return this.skip() // relies on a Node.js agent
+      this.timeout(500)
+      url = `${base}hello`
+      // a connection whose DNS lookup takes 200ms
+      const agent = new http.Agent()
+      agent.createConnection = options => net.connect(Object.assign({}, options, {
+        lookup: (hostname, options, callback) => setTimeout(() => dns.lookup(hostname, options, callback), 200)
+      }))
       opts = {
-        useElectronNet,
+        connectTimeout: 100,
+        agent
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'connect-timeout')
+    })
+
+    it('should clear connection timeout once connected', function () {
+      url = `${base}timeout`
+      opts = {
+        connectTimeout: 100,
+        useElectronNet
+      }
+      if (useElectronNet) opts.connectTimeout = 2000 // lasts until the response on Electron
+      return fetch(url, opts).then(res => {
+        expect(res.ok).to.be.true
+      })
+    })
+
+    it('should allow custom timeout on response headers', function () {
+      this.timeout(500)
+      url = `${base}timeout`
+      opts = {
+        headersTimeout: 100,
+        useElectronNet
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'headers-timeout')
+    })
+
+    it('should not start the headers timeout once the response is received', function () {
+      url = `${base}slow`
+      // the server answers while the request body is still being sent
+      const body = new stream.Readable({ read () {} })
+      body.push('a')
+      setTimeout(() => body.push(null), 300)
+      opts = {
+        method: 'POST',
+        body,
+        headersTimeout: 100,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return expect(res.text()).to.eventually.equal('testtest')
+      })
+    })
+
+    it('should allow custom idle timeout on response body', function () {
+      this.timeout(500)
+      url = `${base}slow`
+      opts = {
+        idleTimeout: 100,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.ok).to.be.true
+        return expect(res.text()).to.eventually.be.rejectedWith(FetchError)
+          .and.have.property('type', 'idle-timeout')
+      })
+    })
+
+    it('should not trigger idle timeout while data is received', function () {
+      url = `${base}size/chunk`
+      opts = {
+        idleTimeout: 200,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => res.text()).then(text => {
+        expect(text).to.equal('testtest')
+      })
+    })
+
+    it('should not trigger idle timeout while the body is not read', function () {
+      url = `${base}hello`
+      opts = {
+        idleTimeout: 50,
+        useElectronNet
+      }
+      return fetch(url, opts)
+        .then(res => new Promise(resolve => setTimeout(() => resolve(res), 150)))
+        .then(res => res.text())
+        .then(text => {
+          expect(text).to.equal('world')
+        })
+    })
+
+    it('should allow custom total timeout, before the response', function () {
+      this.timeout(500)
+      url = `${base}timeout`
+      opts = {
+        totalTimeout: 100,
+        useElectronNet
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'total-timeout')
+    })
+
+    it('should allow custom total timeout, on the response body', function () {
+      this.timeout(500)
+      url = `${base}slow`
+      opts = {
+        totalTimeout: 100,
+        idleTimeout: 2000,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.ok).to.be.true
+        return expect(res.text()).to.eventually.be.rejectedWith(FetchError)
+          .and.have.property('type', 'total-timeout')
+      })
+    })
+
+    it('should count total timeout across redirects', function () {
+      this.timeout(500)
+      url = `${base}redirect/to?url=${encodeURIComponent('/timeout')}`
+      opts = {
+        totalTimeout: 100,
+        headersTimeout: 2000,
+        useElectronNet
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'total-timeout')
+    })
+
+    it('should count total timeout across retries', function () {
+      url = `${base}retry?id=total-timeout-${useElectronNet}&failures=2`
+      opts = {
+        totalTimeout: 200,
+        retry: { retries: 2, delay: 150, jitter: false },
+        useElectronNet
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'total-timeout')
+    })
+
+    it('should not wait for a retry past the total timeout', function () {
+      url = `${base}retry?id=total-timeout-wait-${useElectronNet}&failures=1`
+      opts = {
+        totalTimeout: 300,
+        retry: { retries: 1, delay: 3000, jitter: false },
+        useElectronNet
+      }
+      const start = Date.now()
+      return expect(fetch(url, opts)).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'total-timeout')
+        .then(() => {
+          expect(Date.now() - start).to.be.below(500)
+        })
+    })
+
+    it('should handle aborts before request', function () {
+      const abort = new AbortController()
+      abort.abort()
+      url = `${base}timeout`
+      opts = {
+        useElectronNet,
         signal: abort.signal
       }
       return expect(fetch(url, opts)).to.eventually.be.rejectedWith(FetchError)
@@ -737,72 +1273,979 @@ const createTestSuite = (useElectronNet) => {
         .then(res => {
           expect(res.ok).to.be.true
           assert.notDeepEqual(abort.signal.listeners.abort, [])
-          return expect(res.text()).to.eventually.be.rejectedWith(FetchError)
-            .and.to.satisfy(e => e.message.endsWith('request aborted')) // checking `.property('type', 'abort')` would not work, as the abort error on the response stream is caught by the `.text()` code and re-thrown
+          return expect(res.text()).to.eventually.be.rejectedWith(FetchError, 'request aborted')
+            .and.have.property('type', 'abort')
+        })
+        .then(() => {
+          assert.deepEqual(abort.signal.listeners.abort, [])
+        })
+    })
+
+    it('should reject with an AbortError at any stage of the request', function () {
+      if (typeof globalThis.AbortController !== 'function') return this.skip() // not supported by this version of Node.js
+      const abortBefore = new globalThis.AbortController()
+      abortBefore.abort()
+      const abortHeaders = new globalThis.AbortController()
+      setTimeout(() => abortHeaders.abort(), 100)
+      const abortBody = new globalThis.AbortController()
+      const abortUnread = new globalThis.AbortController()
+      const isAbortError = err => {
+        expect(err).to.be.an.instanceOf(FetchError)
+        expect(err.name).to.equal('AbortError')
+        expect(err.type).to.equal('abort')
+        expect(err.reason).to.be.an.instanceOf(Error).and.have.property('name', 'AbortError')
+        return true
+      }
+      return Promise.all([
+        expect(fetch(`${base}hello`, { signal: abortBefore.signal, useElectronNet })).to.eventually.be.rejected
+          .and.to.satisfy(isAbortError),
+        expect(fetch(`${base}timeout`, { signal: abortHeaders.signal, useElectronNet })).to.eventually.be.rejected
+          .and.to.satisfy(isAbortError),
+        fetch(`${base}slow`, { signal: abortBody.signal, useElectronNet }).then(res => {
+          setTimeout(() => abortBody.abort(), 100)
+          return expect(res.text()).to.eventually.be.rejected.and.to.satisfy(isAbortError)
+        }),
+        fetch(`${base}slow`, { signal: abortUnread.signal, useElectronNet }).then(res => {
+          abortUnread.abort()
+          return expect(res.text()).to.eventually.be.rejected.and.to.satisfy(isAbortError)
+        })
+      ])
+    })
+
+    it('should reject reads of the body started after an abort', function () {
+      const abort = new AbortController()
+      return fetch(`${base}slow`, { signal: abort.signal, useElectronNet }).then(res => {
+        abort.abort()
+        return new Promise(resolve => setTimeout(resolve, 50))
+          .then(() => expect(res.text()).to.eventually.be.rejectedWith(FetchError, 'request aborted'))
+      })
+    })
+
+    it('should reject with the reason of the signal', function () {
+      if (typeof globalThis.AbortController !== 'function') return this.skip() // not supported by this version of Node.js
+      const reason = new Error('custom reason')
+      const abortBefore = new globalThis.AbortController()
+      abortBefore.abort(reason)
+      const abortHeaders = new globalThis.AbortController()
+      setTimeout(() => abortHeaders.abort(reason), 100)
+      const abortBody = new globalThis.AbortController()
+      const checks = [
+        expect(fetch(`${base}hello`, { signal: abortBefore.signal, useElectronNet })).to.eventually.be.rejected
+          .and.to.equal(reason),
+        expect(fetch(`${base}timeout`, { signal: abortHeaders.signal, useElectronNet })).to.eventually.be.rejected
+          .and.to.equal(reason),
+        fetch(`${base}slow`, { signal: abortBody.signal, useElectronNet }).then(res => {
+          setTimeout(() => abortBody.abort(reason), 100)
+          return expect(res.text()).to.eventually.be.rejected.and.to.equal(reason)
+        })
+      ]
+      // Node.js >= 17.3
+      if (typeof AbortSignal.timeout === 'function') {
+        checks.push(expect(fetch(`${base}timeout`, { signal: AbortSignal.timeout(100), useElectronNet })).to.eventually.be.rejected
+          .and.have.property('name', 'TimeoutError'))
+      }
+      return Promise.all(checks)
+    })
+
+    it('should carry reasons that are not objects on the AbortError', function () {
+      if (typeof globalThis.AbortController !== 'function') return this.skip() // not supported by this version of Node.js
+      const abort = new globalThis.AbortController()
+      abort.abort('stop')
+      return expect(fetch(`${base}hello`, { signal: abort.signal, useElectronNet })).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.include({ name: 'AbortError', type: 'abort', reason: 'stop' })
+    })
+
+    it('should handle aborts after request finish', function () {
+      const abort = new AbortController()
+      url = `${base}hello`
+      opts = {
+        useElectronNet,
+        signal: abort.signal
+      }
+
+      assert.isUndefined(abort.signal.listeners.abort)
+      return fetch(url, opts)
+        .then(res => {
+          return res.text()
+        })
+        .then(r => {
+          assert.deepEqual(abort.signal.listeners.abort, [])
+          abort.abort()
         })
+    })
+
+    it('should handle aborts after request error', function () {
+      const abort = new AbortController()
+      url = `${base}error/reset`
+      opts = {
+        useElectronNet,
+        signal: abort.signal
+      }
+
+      assert.isUndefined(abort.signal.listeners.abort)
+      return expect(fetch(url, opts)).to.eventually.be.rejectedWith(FetchError)
+        .and.have.property('code', 'ECONNRESET')
         .then(() => {
           assert.deepEqual(abort.signal.listeners.abort, [])
+          abort.abort()
+        })
+    })
+
+    it('should clear internal timeout on fetch response', function (done) { // these tests don't make much sense on electron..
+      this.timeout(1000)
+      spawn('node', ['-e', `require('./')('${base}hello', { timeout: 5000 })`])
+        .on('exit', () => {
+          done()
+        })
+    })
+
+    it('should clear internal timeout on fetch redirect', function (done) {
+      this.timeout(1000)
+      spawn('node', ['-e', `require('./')('${base}redirect/301', { timeout: 5000 })`])
+        .on('exit', () => {
+          done()
         })
     })
 
-    it('should handle aborts after request finish', function () {
-      const abort = new AbortController()
-      url = `${base}hello`
-      opts = {
-        useElectronNet,
-        signal: abort.signal
-      }
+    it('should clear internal timeout on fetch error', function (done) {
+      this.timeout(1000)
+      spawn('node', ['-e', `require('./')('${base}error/reset', { timeout: 5000 })`])
+        .on('exit', () => {
+          done()
+        })
+    })
+
+    it('should retry on retryable status and replay body', function () {
+      url = `${base}retry?id=status-${useElectronNet}&failures=2`
+      opts = {
+        method: 'PUT',
+        body: 'a=1',
+        retry: { retries: 2, delay: 10, jitter: false },
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.status).to.equal(200)
+        return res.json()
+      }).then(res => {
+        expect(res.method).to.equal('PUT')
+        expect(res.attempts).to.equal(3)
+        expect(res.body).to.equal('a=1')
+      })
+    })
+
+    it('should retry on network errors', function () {
+      url = `${base}retry?id=reset-${useElectronNet}&failures=1&reset=1`
+      opts = {
+        retry: { retries: 1, delay: 10 },
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => res.json()).then(res => {
+        expect(res.attempts).to.equal(2)
+      })
+    })
+
+    it('should return the last response when retries are exhausted', function () {
+      url = `${base}retry?id=exhausted-${useElectronNet}&failures=5&status=502`
+      opts = {
+        retry: { retries: 1, delay: 10 },
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.status).to.equal(502)
+        return res.text()
+      }).then(text => {
+        expect(text).to.equal('failure')
+        expect(testServer.retryAttempts[`exhausted-${useElectronNet}`]).to.equal(2)
+      })
+    })
+
+    it('should not retry non-idempotent methods by default', function () {
+      url = `${base}retry?id=post-${useElectronNet}&failures=1`
+      opts = {
+        method: 'POST',
+        body: 'a=1',
+        retry: 3,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.status).to.equal(503)
+        return res.text()
+      })
+    })
+
+    it('should honor Retry-After header', function () {
+      url = `${base}retry?id=retry-after-${useElectronNet}&failures=1&status=429&retry-after=0`
+      opts = {
+        retry: { retries: 1, delay: 10000 },
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => res.json()).then(res => {
+        expect(res.attempts).to.equal(2)
+      })
+    })
+
+    it('should not retry when Retry-After exceeds maximum delay', function () {
+      url = `${base}retry?id=retry-after-max-${useElectronNet}&failures=1&status=503&retry-after=120`
+      opts = {
+        retry: { retries: 1, delay: 10, maxDelay: 1000 },
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        expect(res.status).to.equal(503)
+        expect(res.headers.get('retry-after')).to.equal('120')
+        return res.text()
+      })
+    })
+
+    it('should reject retryable request with stream body', function () {
+      url = `${base}retry?id=stream-${useElectronNet}&failures=0`
+      opts = {
+        method: 'PUT',
+        body: resumer().queue('a=1').end(),
+        retry: 1,
+        useElectronNet
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejectedWith(TypeError, 'stream bodies cannot be sent again')
+    })
+
+    it('should handle aborts while waiting to retry', function () {
+      const abort = new AbortController()
+      setTimeout(() => {
+        abort.abort()
+      }, 100)
+      url = `${base}retry?id=abort-${useElectronNet}&failures=1`
+      opts = {
+        retry: { retries: 1, delay: 5000, jitter: false },
+        signal: abort.signal,
+        useElectronNet
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.include({ name: 'AbortError', type: 'abort' })
+    })
+
+    describe('HTTP cache', () => {
+      let cacheStore
+      const cachedFetch = (url, opts) => fetch(url, Object.assign({ cacheStore, useElectronNet }, opts))
+        .then(res => res.text().then(text => ({ res, text })))
+        // let the store finish writing the body
+        .then(result => new Promise(resolve => setImmediate(() => resolve(result))))
+      const hits = id => testServer.cacheHits[`${id}-${useElectronNet}`]
+
+      beforeEach(function () {
+        cacheStore = new MemoryCacheStore()
+      })
+
+      it('should serve fresh responses from the cache', function () {
+        url = `${base}cache?id=fresh-${useElectronNet}&cc=max-age=60`
+        return cachedFetch(url).then(({ text }) => {
+          expect(text).to.equal('hit 1')
+          return cachedFetch(url)
+        }).then(({ res, text }) => {
+          expect(text).to.equal('hit 1')
+          expect(res.status).to.equal(200)
+          expect(res.url).to.equal(url)
+          expect(res.headers.get('age')).to.match(/^\d+$/)
+          expect(hits('fresh')).to.equal(1)
+        })
+      })
+
+      it('should not store responses with no-store', function () {
+        url = `${base}cache?id=no-store-${useElectronNet}&cc=no-store,max-age=60`
+        return cachedFetch(url).then(() => cachedFetch(url)).then(({ text }) => {
+          expect(text).to.equal('hit 2')
+          expect(cacheStore.size).to.equal(0)
+        })
+      })
+
+      it('should revalidate stale responses with ETag', function () {
+        url = `${base}cache?id=etag-${useElectronNet}&cc=max-age=0&etag="abc"`
+        return cachedFetch(url).then(() => cachedFetch(url)).then(({ res, text }) => {
+          expect(text).to.equal('hit 1')
+          expect(res.status).to.equal(200)
+          expect(res.headers.get('x-revalidated')).to.equal('2')
+          expect(hits('etag')).to.equal(2)
+        })
+      })
+
+      it('should revalidate no-cache responses with Last-Modified', function () {
+        const lastModified = new Date(Date.now() - 3600 * 1000).toUTCString()
+        url = `${base}cache?id=last-modified-${useElectronNet}&cc=no-cache&last-modified=${encodeURIComponent(lastModified)}`
+        return cachedFetch(url).then(() => cachedFetch(url)).then(({ res, text }) => {
+          expect(text).to.equal('hit 1')
+          expect(res.headers.get('x-revalidated')).to.equal('2')
+        })
+      })
+
+      it('should use heuristic freshness based on Last-Modified', function () {
+        const lastModified = new Date(Date.now() - 10 * 24 * 3600 * 1000).toUTCString()
+        url = `${base}cache?id=heuristic-${useElectronNet}&last-modified=${encodeURIComponent(lastModified)}`
+        return cachedFetch(url).then(() => cachedFetch(url)).then(({ text }) => {
+          expect(text).to.equal('hit 1')
+          expect(hits('heuristic')).to.equal(1)
+        })
+      })
+
+      it('should consider responses with past Expires as stale', function () {
+        url = `${base}cache?id=expires-${useElectronNet}&expires=${encodeURIComponent(new Date(0).toUTCString())}&etag="e"`
+        return cachedFetch(url).then(() => cachedFetch(url)).then(({ res, text }) => {
+          expect(text).to.equal('hit 1')
+          expect(res.headers.get('x-revalidated')).to.equal('2')
+        })
+      })
+
+      it('should fail the body of a stored response when it is cut off', function () {
+        url = `${base}cache?id=stall-${useElectronNet}&cc=max-age=60&stall=1`
+        return fetch(url, { cacheStore, idleTimeout: 100, useElectronNet }).then(res => {
+          return expect(res.text()).to.eventually.be.rejected
+            .and.be.an.instanceOf(FetchError)
+            .and.have.property('type', 'idle-timeout')
+        }).then(() => new Promise(resolve => setImmediate(resolve))).then(() => {
+          expect(cacheStore.size).to.equal(0)
+        })
+      })
+
+      it('should store one entry per Vary variant', function () {
+        url = `${base}cache?id=vary-${useElectronNet}&cc=max-age=60&vary=X-Lang`
+        return cachedFetch(url, { headers: { 'X-Lang': 'en' } })
+          .then(() => cachedFetch(url, { headers: { 'X-Lang': 'fr' } }))
+          .then(({ text }) => {
+            expect(text).to.equal('hit 2 fr')
+            return cachedFetch(url, { headers: { 'X-Lang': 'en' } })
+          })
+          .then(({ text }) => {
+            expect(text).to.equal('hit 1 en')
+            expect(hits('vary')).to.equal(2)
+          })
+      })
+
+      it('should honor request Cache-Control directives', function () {
+        url = `${base}cache?id=request-cc-${useElectronNet}&cc=max-age=60`
+        return cachedFetch(url)
+          .then(() => cachedFetch(url, { headers: { 'Cache-Control': 'min-fresh=120' } }))
+          .then(({ text }) => {
+            expect(text).to.equal('hit 2')
+          })
+      })
+
+      it('should bypass the cache with "no-store" cache mode', function () {
+        url = `${base}cache?id=mode-no-store-${useElectronNet}&cc=max-age=60`
+        return cachedFetch(url)
+          .then(() => cachedFetch(url, { cache: 'no-store' }))
+          .then(({ text }) => {
+            expect(text).to.equal('hit 2')
+            return cachedFetch(url)
+          })
+          .then(({ text }) => {
+            expect(text).to.equal('hit 1')
+          })
+      })
+
+      it('should update the cache with "reload" cache mode', function () {
+        url = `${base}cache?id=mode-reload-${useElectronNet}&cc=max-age=60`
+        return cachedFetch(url)
+          .then(() => cachedFetch(url, { cache: 'reload' }))
+          .then(() => cachedFetch(url))
+          .then(({ text }) => {
+            expect(text).to.equal('hit 2')
+          })
+      })
+
+      it('should revalidate fresh responses with "no-cache" cache mode', function () {
+        url = `${base}cache?id=mode-no-cache-${useElectronNet}&cc=max-age=60&etag="nc"`
+        return cachedFetch(url)
+          .then(() => cachedFetch(url, { cache: 'no-cache' }))
+          .then(({ res, text }) => {
+            expect(text).to.equal('hit 1')
+            expect(res.headers.get('x-revalidated')).to.equal('2')
+          })
+      })
+
+      it('should use stale responses with "force-cache" cache mode', function () {
+        url = `${base}cache?id=mode-force-cache-${useElectronNet}&cc=max-age=0&etag="fc"`
+        return cachedFetch(url)
+          .then(() => cachedFetch(url, { cache: 'force-cache' }))
+          .then(({ res, text }) => {
+            expect(text).to.equal('hit 1')
+            expect(res.headers.has('x-revalidated')).to.be.false
+            expect(hits('mode-force-cache')).to.equal(1)
+          })
+      })
+
+      it('should reject cache misses with "only-if-cached" cache mode', function () {
+        url = `${base}cache?id=mode-only-if-cached-${useElectronNet}&cc=max-age=60`
+        return expect(cachedFetch(url, { cache: 'only-if-cached' })).to.eventually.be.rejected
+          .and.be.an.instanceOf(FetchError)
+          .and.have.property('type', 'cache-miss')
+          .then(() => cachedFetch(url))
+          .then(() => cachedFetch(url, { cache: 'only-if-cached' }))
+          .then(({ text }) => {
+            expect(text).to.equal('hit 1')
+          })
+      })
+
+      it('should send Pragma and Cache-Control headers as per the cache mode', function () {
+        url = `${base}inspect`
+        return fetch(url, { cache: 'reload', useElectronNet }).then(res => res.json()).then(res => {
+          expect(res.headers.pragma).to.equal('no-cache')
+          expect(res.headers['cache-control']).to.equal('no-cache')
+          return fetch(url, { cache: 'no-cache', useElectronNet })
+        }).then(res => res.json()).then(res => {
+          expect(res.headers['cache-control']).to.equal('max-age=0')
+        })
+      })
+
+      it('should invalidate stored responses after unsafe requests', function () {
+        url = `${base}cache?id=unsafe-${useElectronNet}&cc=max-age=60`
+        return cachedFetch(url)
+          .then(() => cachedFetch(url, { method: 'POST', body: 'a=1' }))
+          .then(() => cachedFetch(url))
+          .then(({ text }) => {
+            expect(text).to.equal('hit 3')
+          })
+      })
+
+      it('should bypass the cache when conditional headers are set', function () {
+        url = `${base}cache?id=conditional-${useElectronNet}&cc=max-age=60&etag="c"`
+        return cachedFetch(url)
+          .then(() => cachedFetch(url, { headers: { 'If-None-Match': '"c"' } }))
+          .then(({ res }) => {
+            expect(res.status).to.equal(304)
+          })
+      })
+
+      it('should reject invalid cache modes', function () {
+        expect(() => new Request(base, { cache: 'invalid' })).to.throw(TypeError, 'Invalid cache mode')
+      })
+
+      if (!useElectronNet) {
+        it('should reject "only-if-cached" cache mode without cache store', function () {
+          return expect(fetch(`${base}hello`, { cache: 'only-if-cached' })).to.eventually.be.rejectedWith(TypeError, 'requires the "cacheStore" option')
+        })
+      }
+
+      it('should evict least recently used entries from MemoryCacheStore', function () {
+        const store = new MemoryCacheStore({ maxSize: 10 })
+        const put = (key, body) => store.put(key, { variant: '' }, resumer().queue(Buffer.from(body)).end())
+        return put('a', '12345')
+          .then(() => put('b', '12345'))
+          .then(() => store.get('a'))
+          .then(() => put('c', '12345'))
+          .then(() => Promise.all([store.get('a'), store.get('b'), store.get('c')]))
+          .then(([a, b, c]) => {
+            expect(a).to.have.length(1)
+            expect(b).to.have.length(0)
+            expect(c[0].body().toString()).to.equal('12345')
+            expect(store.size).to.equal(10)
+          })
+      })
+
+      it('should store raw and decoded bodies apart', function () {
+        if (useElectronNet) return this.skip() // the net module always decodes responses
+        const cacheStore = new MemoryCacheStore()
+        url = `${base}cache?id=decompress-${useElectronNet}&cc=max-age=60&gzip=1`
+        return fetch(url, { cacheStore, decompress: false, useElectronNet }).then(res => res.buffer()).then(buffer => {
+          expect(zlib.gunzipSync(buffer).toString()).to.equal('hit 1')
+          return fetch(url, { cacheStore, useElectronNet })
+        }).then(res => res.text()).then(text => {
+          expect(text).to.equal('hit 2')
+          return Promise.all([
+            fetch(url, { cacheStore, decompress: false, useElectronNet }).then(res => res.buffer()),
+            fetch(url, { cacheStore, useElectronNet }).then(res => res.text())
+          ])
+        }).then(([buffer, text]) => {
+          expect(zlib.gunzipSync(buffer).toString()).to.equal('hit 1')
+          expect(text).to.equal('hit 2')
+        })
+      })
+    })
+
+    describe('DiskCacheStore', () => {
+      let cachePath
+      let writes
+      // the cache does not wait for the writes of the store, tests wait for them before checking its files
+      const createStore = (options = {}) => {
+        const cacheStore = new DiskCacheStore(Object.assign({ path: cachePath }, options))
+        for (const method of ['put', 'update', 'delete']) {
+          const write = cacheStore[method]
+          cacheStore[method] = (...args) => {
+            const written = write.apply(cacheStore, args)
+            writes.push(written.catch(() => {}))
+            return written
+          }
+        }
+        return cacheStore
+      }
+      const storedFetch = (url, opts) => fetch(url, Object.assign({ useElectronNet }, opts))
+        .then(res => res.text())
+        // let the store finish writing the body and the index
+        .then(text => Promise.all(writes).then(() => text))
+      const removeDir = dir => {
+        for (const name of fs.readdirSync(dir)) {
+          const file = path.join(dir, name)
+          if (fs.lstatSync(file).isDirectory()) {
+            removeDir(file)
+          } else {
+            fs.unlinkSync(file)
+          }
+        }
+        fs.rmdirSync(dir)
+      }
+      const contentFiles = dir => fs.readdirSync(dir).reduce((files, sub) =>
+        files.concat(fs.readdirSync(path.join(dir, sub)).map(file => path.join(dir, sub, file))), [])
+
+      beforeEach(function () {
+        cachePath = fs.mkdtempSync(path.join(os.tmpdir(), 'electron-fetch-cache-'))
+        writes = []
+      })
+
+      afterEach(function () {
+        removeDir(cachePath)
+      })
+
+      it('should persist responses across store instances', function () {
+        url = `${base}cache?id=disk-persist-${useElectronNet}&cc=max-age=60`
+        return storedFetch(url, { cacheStore: createStore() })
+          .then(() => storedFetch(url, { cacheStore: createStore(), cache: 'only-if-cached' }))
+          .then(text => {
+            expect(text).to.equal('hit 1')
+            expect(fs.existsSync(path.join(cachePath, 'index.json'))).to.be.true
+            expect(fs.readdirSync(path.join(cachePath, 'tmp'))).to.have.length(0)
+          })
+      })
+
+      it('should store identical bodies once', function () {
+        const cacheStore = createStore()
+        // both responses are "hit 1"
+        const urlOf = name => `${base}cache?id=disk-dedupe-${name}-${useElectronNet}&cc=max-age=60`
+        return storedFetch(urlOf('a'), { cacheStore })
+          .then(() => storedFetch(urlOf('b'), { cacheStore }))
+          .then(() => cacheStore.get(urlOf('a')))
+          .then(entries => {
+            expect(entries).to.have.length(1)
+            expect(contentFiles(path.join(cachePath, 'content'))).to.have.length(1)
+          })
+      })
+
+      it('should keep an entry replaced with an identical body', function () {
+        const cacheStore = createStore()
+        const key = `${base}disk-same-body`
+        const metadata = { url: key, variant: '' }
+        const put = () => cacheStore.put(key, metadata, stream.Readable.from([Buffer.from('same body')]))
+        return put()
+          .then(put)
+          .then(() => cacheStore.get(key))
+          .then(entries => {
+            expect(entries).to.have.length(1)
+            expect(contentFiles(path.join(cachePath, 'content'))).to.have.length(1)
+            return streamToString(entries[0].body())
+          })
+          .then(text => {
+            expect(text).to.equal('same body')
+          })
+      })
+
+      it('should reject corrupted bodies and drop their entry', function () {
+        const cacheStore = createStore()
+        url = `${base}cache?id=disk-integrity-${useElectronNet}&cc=max-age=60`
+        return storedFetch(url, { cacheStore })
+          .then(() => {
+            const [file] = contentFiles(path.join(cachePath, 'content'))
+            fs.writeFileSync(file, 'hit X')
+            return expect(storedFetch(url, { cacheStore })).to.eventually.be.rejectedWith(FetchError, 'integrity check')
+          })
+          .then(() => storedFetch(url, { cacheStore }))
+          .then(text => {
+            expect(text).to.equal('hit 2')
+          })
+      })
+
+      it('should drop entries with missing bodies', function () {
+        const cacheStore = createStore()
+        url = `${base}cache?id=disk-missing-${useElectronNet}&cc=max-age=60`
+        return storedFetch(url, { cacheStore })
+          .then(() => {
+            fs.unlinkSync(contentFiles(path.join(cachePath, 'content'))[0])
+            return storedFetch(url, { cacheStore })
+          })
+          .then(text => {
+            expect(text).to.equal('hit 2')
+          })
+      })
+
+      it('should evict least recently used entries', function () {
+        // each body is 5 bytes long, and distinct so that it is not deduplicated
+        const cacheStore = createStore({ maxSize: 10 })
+        const urlOf = name => `${base}cache?id=disk-lru-${name}-${useElectronNet}&cc=max-age=60`
+        testServer.cacheHits[`disk-lru-b-${useElectronNet}`] = 1
+        testServer.cacheHits[`disk-lru-c-${useElectronNet}`] = 2
+        return storedFetch(urlOf('a'), { cacheStore })
+          .then(() => storedFetch(urlOf('b'), { cacheStore }))
+          .then(() => storedFetch(urlOf('a'), { cacheStore }))
+          .then(() => storedFetch(urlOf('c'), { cacheStore }))
+          .then(() => Promise.all([cacheStore.get(urlOf('a')), cacheStore.get(urlOf('b')), cacheStore.get(urlOf('c'))]))
+          .then(([a, b, c]) => {
+            expect(a).to.have.length(1)
+            expect(b).to.have.length(0)
+            expect(c).to.have.length(1)
+            expect(contentFiles(path.join(cachePath, 'content'))).to.have.length(2)
+          })
+      })
+
+      it('should not store bodies larger than maxSize', function () {
+        const cacheStore = createStore({ maxSize: 2 })
+        url = `${base}cache?id=disk-large-${useElectronNet}&cc=max-age=60`
+        return storedFetch(url, { cacheStore })
+          .then(text => {
+            expect(text).to.equal('hit 1')
+            return cacheStore.get(url)
+          })
+          .then(entries => {
+            expect(entries).to.have.length(0)
+            expect(fs.readdirSync(path.join(cachePath, 'tmp'))).to.have.length(0)
+          })
+      })
+
+      it('should require a path', function () {
+        expect(() => new DiskCacheStore()).to.throw(TypeError, '"path" option')
+      })
+    })
+
+    describe('CookieJar', () => {
+      it('should send cookies set by responses, including redirects', function () {
+        const cookieJar = new CookieJar()
+        const target = `${base}cookies/set?c=${encodeURIComponent('b=2; Path=/')}`
+        url = `${base}cookies/set?c=${encodeURIComponent('a=1; Path=/')}&to=${encodeURIComponent(target)}`
+        return fetch(url, { cookieJar, useElectronNet }).then(res => res.text()).then(() => {
+          expect(cookieJar.getCookieString(base)).to.equal('a=1; b=2')
+          return fetch(`${base}inspect`, { cookieJar, headers: { Cookie: 'c=3' }, useElectronNet })
+        }).then(res => res.json()).then(res => {
+          expect(res.headers.cookie).to.equal('c=3; a=1; b=2')
+        })
+      })
 
-      assert.isUndefined(abort.signal.listeners.abort)
-      return fetch(url, opts)
-        .then(res => {
-          return res.text()
+      it('should send cookies set by a redirect to the redirect target', function () {
+        const cookieJar = new CookieJar()
+        url = `${base}cookies/set?c=${encodeURIComponent('session=abc; Path=/')}&c=scoped=1&to=${encodeURIComponent(`${base}inspect`)}`
+        return fetch(url, { cookieJar, useElectronNet }).then(res => res.json()).then(res => {
+          // the default path of `scoped` is /cookies
+          expect(res.headers.cookie).to.equal('session=abc')
         })
-        .then(r => {
-          assert.deepEqual(abort.signal.listeners.abort, [])
-          abort.abort()
+      })
+
+      it('should match cookie domains and paths', function () {
+        const cookieJar = new CookieJar()
+        cookieJar.setCookie('host=1', 'http://example.com/a/b')
+        cookieJar.setCookie('domain=1; Domain=.example.com; Path=/', 'http://example.com/')
+        cookieJar.setCookie('path=1; Path=/a', 'http://www.example.com/')
+        cookieJar.setCookie('other=1; Domain=other.com', 'http://example.com/')
+        expect(cookieJar.getCookieString('http://example.com/a/c')).to.equal('host=1; domain=1')
+        expect(cookieJar.getCookieString('http://example.com/')).to.equal('domain=1')
+        expect(cookieJar.getCookieString('http://www.example.com/a/b')).to.equal('path=1; domain=1')
+        expect(cookieJar.getCookieString('http://www.example.com/ab')).to.equal('domain=1')
+        expect(cookieJar.getCookieString('http://other.com/')).to.equal('')
+      })
+
+      it('should reject cookies for public suffixes', function () {
+        const cookieJar = new CookieJar()
+        expect(cookieJar.setCookie('a=1; Domain=com', 'http://example.com/')).to.be.null
+        expect(cookieJar.setCookie('a=1; Domain=co.uk', 'http://example.co.uk/')).to.be.null
+        expect(cookieJar.setCookie('a=1; Domain=github.io', 'http://user.github.io/')).to.be.null
+        expect(cookieJar.setCookie('a=1; Domain=com.pl', 'http://attacker.com.pl/')).to.be.null
+        expect(cookieJar.getCookieString('http://bank.com.pl/')).to.equal('')
+        expect(cookieJar.setCookie('a=1; Domain=example.com.pl', 'http://www.example.com.pl/')).to.have.property('hostOnly', false)
+        expect(cookieJar.setCookie('a=1; Domain=example.co.uk', 'http://www.example.co.uk/')).to.have.property('hostOnly', false)
+        const customJar = new CookieJar({ isPublicSuffix: domain => domain === 'example.com' || domain === 'com' })
+        expect(customJar.setCookie('a=1; Domain=example.com', 'http://www.example.com/')).to.be.null
+      })
+
+      it('should handle Secure and HttpOnly cookies', function () {
+        const cookieJar = new CookieJar()
+        expect(cookieJar.setCookie('a=1; Secure', 'http://example.com/')).to.be.null
+        cookieJar.setCookie('a=1; Secure', 'https://example.com/')
+        cookieJar.setCookie('b=2; HttpOnly', 'https://example.com/')
+        expect(cookieJar.setCookie('a=3', 'http://example.com/')).to.be.null
+        cookieJar.setCookie('c=3', 'http://example.com/')
+        expect(cookieJar.getCookieString('http://example.com/')).to.equal('b=2; c=3')
+        expect(cookieJar.getCookieString('https://example.com/', { http: false })).to.equal('a=1; c=3')
+        expect(cookieJar.setCookie('b=3', 'https://example.com/', { http: false })).to.be.null
+        expect(cookieJar.setCookie('__Host-c=1; Secure; Path=/; Domain=example.com', 'https://example.com/')).to.be.null
+        expect(cookieJar.setCookie('__Host-c=1; Secure; Path=/', 'https://example.com/')).to.not.be.null
+      })
+
+      it('should only send SameSite cookies to the same site', function () {
+        const cookieJar = new CookieJar()
+        cookieJar.setCookie('strict=1; SameSite=Strict', 'https://example.com/')
+        cookieJar.setCookie('lax=1', 'https://example.com/')
+        cookieJar.setCookie('none=1; SameSite=None; Secure', 'https://example.com/')
+        expect(cookieJar.setCookie('insecure=1; SameSite=None', 'https://example.com/')).to.be.null
+        expect(cookieJar.getCookieString('https://example.com/', { siteForCookies: 'https://www.example.com/' })).to.equal('strict=1; lax=1; none=1')
+        expect(cookieJar.getCookieString('https://example.com/', { siteForCookies: 'https://other.com/' })).to.equal('lax=1; none=1')
+        expect(cookieJar.getCookieString('https://example.com/', { siteForCookies: 'https://other.com/', method: 'POST' })).to.equal('none=1')
+      })
+
+      it('should handle cookie expiry', function () {
+        const cookieJar = new CookieJar()
+        cookieJar.setCookie('a=1; Max-Age=3600; Expires=Thu, 01 Jan 1970 00:00:00 GMT', 'http://example.com/')
+        cookieJar.setCookie('b=1; Expires=Wed, 21-Oct-2099 07:28:00 GMT', 'http://example.com/')
+        cookieJar.setCookie('c=1; Expires=Thu, 01 Jan 1970 00:00:00 GMT', 'http://example.com/')
+        expect(cookieJar.getCookieString('http://example.com/')).to.equal('a=1; b=1')
+        expect(cookieJar.getCookies('http://example.com/')[1].expires).to.equal(Date.UTC(2099, 9, 21, 7, 28))
+        cookieJar.setCookie('a=1; Max-Age=0', 'http://example.com/')
+        expect(cookieJar.getCookieString('http://example.com/')).to.equal('b=1')
+      })
+
+      it('should serialize to and from JSON', function () {
+        const cookieJar = new CookieJar()
+        cookieJar.setCookie('session=1; HttpOnly', 'https://example.com/')
+        cookieJar.setCookie('persistent=1; Domain=example.com; Path=/a; Max-Age=3600; Secure; SameSite=Strict', 'https://www.example.com/')
+        const json = JSON.stringify(cookieJar)
+        const restored = CookieJar.fromJSON(json)
+        expect(restored.getAllCookies()).to.deep.equal(cookieJar.getAllCookies())
+        expect(restored.getCookieString('https://www.example.com/a')).to.equal('persistent=1')
+        expect(CookieJar.fromJSON(cookieJar.toJSON({ includeSessionCookies: false })).getAllCookies())
+          .to.have.length(1)
+        expect(() => CookieJar.fromJSON({ cookies: [] })).to.throw(TypeError, 'Invalid serialized cookie jar')
+        expect(CookieJar.fromJSON({ version: 1, cookies: [{ name: 'a' }, null] }).getAllCookies()).to.have.length(0)
+      })
+
+      it('should copy cookies to and from an Electron session', function () {
+        // stands for electron.session.defaultSession
+        const electronCookies = []
+        const session = {
+          cookies: {
+            set: details => {
+              electronCookies.push(details)
+              return Promise.resolve()
+            },
+            get: filter => Promise.resolve([{
+              name: 'sid',
+              value: 'xyz',
+              domain: '.example.com',
+              hostOnly: false,
+              path: '/',
+              secure: true,
+              httpOnly: true,
+              session: false,
+              expirationDate: Date.now() / 1000 + 3600,
+              sameSite: 'no_restriction'
+            }, {
+              name: 'host',
+              value: '1',
+              domain: 'example.com',
+              hostOnly: true,
+              path: '/',
+              secure: false,
+              httpOnly: false,
+              session: true,
+              sameSite: 'unspecified'
+            }].filter(() => !filter.url))
+          }
+        }
+        const cookieJar = new CookieJar()
+        cookieJar.setCookie('a=1; Domain=example.com; Max-Age=60; SameSite=None; Secure', 'https://example.com/')
+        cookieJar.setCookie('b=2', 'http://example.com/path/')
+        return cookieJar.exportToSession(session).then(() => {
+          expect(electronCookies).to.have.length(2)
+          expect(electronCookies[0]).to.include({ url: 'https://example.com/', name: 'a', domain: 'example.com', sameSite: 'no_restriction' })
+          expect(electronCookies[0].expirationDate).to.be.a('number')
+          expect(electronCookies[1]).to.include({ url: 'http://example.com/path', name: 'b', sameSite: 'lax' })
+          expect(electronCookies[1]).to.not.have.property('domain')
+          return cookieJar.importFromSession(session)
+        }).then(() => {
+          expect(cookieJar.getCookieString('https://www.example.com/')).to.equal('a=1; sid=xyz')
+          expect(cookieJar.getCookieString('http://example.com/')).to.equal('host=1')
         })
-    })
+      })
 
-    it('should handle aborts after request error', function () {
-      const abort = new AbortController()
-      url = `${base}error/reset`
-      opts = {
-        useElectronNet,
-        signal: abort.signal
-      }
+      it('should ignore invalid cookies', function () {
+        const cookieJar = new CookieJar()
+        expect(cookieJar.setCookie('novalue', 'http://example.com/')).to.be.null
+        expect(cookieJar.setCookie('=value', 'http://example.com/')).to.be.null
+        expect(cookieJar.setCookie('a=1; Domain=example.com', 'http://1.2.3.4/')).to.be.null
+      })
+    })
+
+    describe('middleware', () => {
+      it('should run middleware in order around the request', function () {
+        const calls = []
+        const instance = fetch.create({
+          middleware: [
+            (request, next) => {
+              calls.push('a:before')
+              return next(request).then(res => {
+                calls.push('a:after')
+                return res
+              })
+            },
+            (request, next) => {
+              calls.push('b:before')
+              return next(request).then(res => {
+                calls.push('b:after')
+                return res
+              })
+            }
+          ]
+        })
+        return instance(`${base}hello`, { useElectronNet }).then(res => {
+          expect(res).to.be.an.instanceOf(Response)
+          expect(calls).to.deep.equal(['a:before', 'b:before', 'b:after', 'a:after'])
+          return res.text()
+        }).then(text => {
+          expect(text).to.equal('world')
+        })
+      })
 
-      assert.isUndefined(abort.signal.listeners.abort)
-      return expect(fetch(url, opts)).to.eventually.be.rejectedWith(FetchError)
-        .and.have.property('code', 'ECONNRESET')
-        .then(() => {
-          assert.deepEqual(abort.signal.listeners.abort, [])
-          abort.abort()
+      it('should send the request passed to next', function () {
+        const instance = fetch.create({
+          middleware: [
+            (request, next) => {
+              expect(request).to.be.an.instanceOf(Request)
+              request.headers.set('Authorization', 'Bearer token')
+              return next(request)
+            },
+            (request, next) => next(request.url.replace('/hello', '/inspect'), { headers: request.headers, useElectronNet })
+          ]
         })
-    })
+        return instance(`${base}hello`, { useElectronNet }).then(res => res.json()).then(res => {
+          expect(res.url).to.equal('/inspect')
+          expect(res.headers.authorization).to.equal('Bearer token')
+        })
+      })
 
-    it('should clear internal timeout on fetch response', function (done) { // these tests don't make much sense on electron..
-      this.timeout(1000)
-      spawn('node', ['-e', `require('./')('${base}hello', { timeout: 5000 })`])
-        .on('exit', () => {
-          done()
+      it('should allow middleware to replace the response or the error', function () {
+        const instance = fetch.create({
+          middleware: [
+            (request, next) => next(request).then(res => {
+              if (!res.ok) throw new Error(`HTTP ${res.status}`)
+              return res
+            }),
+            (request, next) => request.url.endsWith('/mocked')
+              ? new Response('mocked', { url: request.url })
+              : next(request)
+          ]
         })
-    })
+        return Promise.all([
+          expect(instance(`${base}error/400`, { useElectronNet })).to.eventually.be.rejectedWith(Error, 'HTTP 400'),
+          instance(`${base}mocked`, { useElectronNet }).then(res => res.text()).then(text => {
+            expect(text).to.equal('mocked')
+          })
+        ])
+      })
 
-    it('should clear internal timeout on fetch redirect', function (done) {
-      this.timeout(1000)
-      spawn('node', ['-e', `require('./')('${base}redirect/301', { timeout: 5000 })`])
-        .on('exit', () => {
-          done()
+      it('should reject with errors thrown by middleware', function () {
+        const instance = fetch.create({
+          middleware: [() => { throw new Error('middleware error') }]
         })
+        return expect(instance(`${base}hello`, { useElectronNet })).to.eventually.be.rejectedWith(Error, 'middleware error')
+      })
+
+      it('should reject invalid middleware', function () {
+        expect(() => fetch.create({ middleware: ['a'] })).to.throw(TypeError)
+        expect(() => fetch.create({ middleware: () => {} })).to.throw(TypeError)
+      })
     })
 
-    it('should clear internal timeout on fetch error', function (done) {
-      this.timeout(1000)
-      spawn('node', ['-e', `require('./')('${base}error/reset', { timeout: 5000 })`])
-        .on('exit', () => {
-          done()
+    describe('fetch.create', () => {
+      it('should resolve relative URLs against baseURL', function () {
+        const instance = fetch.create({ baseURL: `${base}redirect/`, useElectronNet })
+        return Promise.all([
+          instance('301').then(res => expect(res.url).to.equal(`${base}inspect`)),
+          instance('/hello').then(res => expect(res.url).to.equal(`${base}hello`)),
+          instance(new Request('/inspect')).then(res => expect(res.url).to.equal(`${base}inspect`)),
+          instance(`${base}hello`).then(res => expect(res.url).to.equal(`${base}hello`))
+        ])
+      })
+
+      it('should merge default headers with the headers of each request', function () {
+        const instance = fetch.create({
+          baseURL: base,
+          headers: { 'x-custom-header': 'abc', 'x-other-header': 'def' },
+          useElectronNet
         })
+        return Promise.all([
+          instance('inspect', { headers: { 'x-other-header': 'ghi' } }).then(res => res.json()).then(res => {
+            expect(res.headers['x-custom-header']).to.equal('abc')
+            expect(res.headers['x-other-header']).to.equal('ghi')
+          }),
+          instance(new Request('/inspect', { headers: { 'x-custom-header': 'jkl' } })).then(res => res.json()).then(res => {
+            expect(res.headers['x-custom-header']).to.equal('jkl')
+            expect(res.headers['x-other-header']).to.equal('def')
+          })
+        ])
+      })
+
+      it('should apply default options, overridden by the options of each request', function () {
+        const instance = fetch.create({ baseURL: base, timeout: 20, size: 5, useElectronNet })
+        return Promise.all([
+          expect(instance('timeout')).to.eventually.be.rejected
+            .and.be.an.instanceOf(FetchError)
+            .and.have.property('type', 'request-timeout'),
+          instance('hello', { size: 0 }).then(res => res.text()).then(text => {
+            expect(text).to.equal('world')
+          }),
+          expect(instance('size/chunk', { timeout: 0 }).then(res => res.text())).to.eventually.be.rejected
+            .and.be.an.instanceOf(FetchError)
+            .and.have.property('type', 'max-size')
+        ])
+      })
+
+      it('should not apply default options to the fields of a Request input', function () {
+        const instance = fetch.create({ baseURL: base, method: 'GET', redirect: 'error', useElectronNet })
+        return Promise.all([
+          instance(new Request(`${base}redirect/302`, { redirect: 'manual', useElectronNet })).then(res => {
+            expect(res.status).to.equal(302)
+          }),
+          instance(new Request(`${base}inspect`, { method: 'POST', body: 'a=1', useElectronNet })).then(res => res.json()).then(res => {
+            expect(res.method).to.equal('POST')
+            expect(res.body).to.equal('a=1')
+          }),
+          instance(new Request(`${base}redirect/302`, { useElectronNet }), { redirect: 'manual' }).then(res => {
+            expect(res.status).to.equal(302)
+          })
+        ])
+      })
+
+      it('should apply default options to the fields a Request input leaves unset', function () {
+        const cookieJar = new CookieJar()
+        cookieJar.setCookie('a=1', base)
+        const instance = fetch.create({ baseURL: base, timeout: 100, cookieJar, useElectronNet })
+        return Promise.all([
+          expect(instance(new Request('timeout'))).to.eventually.be.rejected
+            .and.be.an.instanceOf(FetchError)
+            .and.have.property('type', 'request-timeout'),
+          instance(new Request('inspect')).then(res => res.json()).then(res => {
+            expect(res.headers.cookie).to.equal('a=1')
+          })
+        ])
+      })
+
+      it('should not share defaults between instances', function () {
+        const parent = fetch.create({ baseURL: base, headers: { 'x-custom-header': 'abc' }, useElectronNet })
+        const child = parent.create({ baseURL: 'redirect/', headers: { 'x-other-header': 'def' } })
+        return Promise.all([
+          child('301').then(res => {
+            expect(res.url).to.equal(`${base}inspect`)
+            return res.json()
+          }).then(res => {
+            expect(res.headers['x-custom-header']).to.equal('abc')
+            expect(res.headers['x-other-header']).to.equal('def')
+          }),
+          parent('inspect').then(res => res.json()).then(res => {
+            expect(res.headers['x-custom-header']).to.equal('abc')
+            expect(res.headers).to.not.have.property('x-other-header')
+          })
+        ])
+      })
+
+      it('should reject relative URLs without baseURL', function () {
+        return expect(fetch.create()('/hello')).to.eventually.be.rejectedWith(Error, 'Only absolute URLs are supported')
+      })
+
+      it('should reject invalid baseURL', function () {
+        expect(() => fetch.create({ baseURL: '/api' })).to.throw(TypeError)
+      })
     })
 
     it('should set default User-Agent', function () {
@@ -897,6 +2340,56 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
+    it('should allow POST request with ArrayBuffer body', function () {
+      url = `${base}inspect`
+      opts = {
+        method: 'POST',
+        body: new Uint8Array([97, 98, 99]).buffer,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.method).to.equal('POST')
+        expect(res.body).to.equal('abc')
+        expect(res.headers['transfer-encoding']).to.be.undefined
+        expect(res.headers['content-type']).to.be.undefined
+        expect(res.headers['content-length']).to.equal('3')
+      })
+    })
+
+    it('should allow POST request with TypedArray body', function () {
+      url = `${base}inspect`
+      opts = {
+        method: 'POST',
+        body: new Uint8Array([96, 97, 98, 99, 100]).subarray(1, 4),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.body).to.equal('abc')
+        expect(res.headers['content-type']).to.be.undefined
+        expect(res.headers['content-length']).to.equal('3')
+      })
+    })
+
+    it('should allow POST request with DataView body', function () {
+      const buffer = new Uint16Array([0x6261, 0x6463, 0x6665]).buffer
+      url = `${base}inspect`
+      opts = {
+        method: 'POST',
+        body: new DataView(buffer, 2, 4),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.body).to.equal('cdef')
+        expect(res.headers['content-length']).to.equal('4')
+      })
+    })
+
     it('should allow POST request with blob body without type', function () {
       url = `${base}inspect`
       opts = {
@@ -955,6 +2448,53 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
+    it('should allow POST request with WHATWG ReadableStream as body', function () {
+      if (!ReadableStream) return this.skip() // not supported by this version of Node.js
+      const chunks = [new Uint8Array([97, 61]), new Uint8Array(0), Buffer.from('1')]
+      const body = new ReadableStream({
+        pull (controller) {
+          if (chunks.length) controller.enqueue(chunks.shift())
+          else controller.close()
+        }
+      })
+
+      url = `${base}inspect`
+      opts = {
+        method: 'POST',
+        body,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.method).to.equal('POST')
+        expect(res.body).to.equal('a=1')
+        expect(res.headers['transfer-encoding']).to.equal('chunked')
+        expect(res.headers['content-type']).to.be.undefined
+        expect(res.headers['content-length']).to.be.undefined
+      })
+    })
+
+    it('should allow POST request with async iterable as body', function () {
+      const body = asyncIterableOf(['a', Buffer.from('='), new Uint8Array([49])])
+
+      url = `${base}inspect`
+      opts = {
+        method: 'POST',
+        body,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.method).to.equal('POST')
+        expect(res.body).to.equal('a=1')
+        expect(res.headers['transfer-encoding']).to.equal('chunked')
+        expect(res.headers['content-type']).to.be.undefined
+        expect(res.headers['content-length']).to.be.undefined
+      })
+    })
+
     it('should allow POST request with empty readable stream as body', function () {
       const body = new stream.PassThrough().end()
 
@@ -980,9 +2520,76 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
-    it('should allow POST request with form-data as body', function () {
-      const form = new FormData()
+    it('should allow POST request with form-data as body', function () {
+      const form = new FormData()
+      form.append('a', '1')
+
+      url = `${base}multipart`
+      opts = {
+        method: 'POST',
+        body: form,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.method).to.equal('POST')
+        expect(res.headers['content-type']).to.satisfy(s => s.startsWith('multipart/form-data;boundary='))
+        expect(res.headers['content-length']).to.be.a('string')
+        expect(res.body).to.equal('a=1')
+      })
+    })
+
+    it('should allow POST request with form-data using stream as body', function () {
+      const form = new FormData()
+      form.append('my_field', fs.createReadStream('test/dummy.txt'))
+
+      url = `${base}multipart`
+      opts = {
+        method: 'POST',
+        body: form,
+        useElectronNet
+      }
+
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.method).to.equal('POST')
+        expect(res.headers['content-type']).to.satisfy(s => s.startsWith('multipart/form-data;boundary='))
+        expect(res.headers['content-length']).to.be.undefined
+        expect(res.body).to.contain('my_field=')
+      })
+    })
+
+    it('should allow POST request with form-data as body and custom headers', function () {
+      const form = new FormData()
+      form.append('a', '1')
+
+      const headers = form.getHeaders()
+      headers.b = '2'
+
+      url = `${base}multipart`
+      opts = {
+        method: 'POST',
+        body: form,
+        headers,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.method).to.equal('POST')
+        expect(res.headers['content-type']).to.satisfy(s => s.startsWith('multipart/form-data; boundary='))
+        expect(res.headers['content-length']).to.be.a('string')
+        expect(res.headers.b).to.equal('2')
+        expect(res.body).to.equal('a=1')
+      })
+    })
+
+    it('should allow POST request with native FormData as body', function () {
+      const form = new FetchFormData()
       form.append('a', '1')
+      form.append('b', 'multi\nline')
 
       url = `${base}multipart`
       opts = {
@@ -996,56 +2603,105 @@ const createTestSuite = (useElectronNet) => {
         expect(res.method).to.equal('POST')
         expect(res.headers['content-type']).to.satisfy(s => s.startsWith('multipart/form-data;boundary='))
         expect(res.headers['content-length']).to.be.a('string')
-        expect(res.body).to.equal('a=1')
+        expect(res.body).to.equal('a=1b=multi\r\nline')
       })
     })
 
-    it('should allow POST request with form-data using stream as body', function () {
-      const form = new FormData()
-      form.append('my_field', fs.createReadStream('test/dummy.txt'))
+    it('should allow POST request with native FormData containing files as body', function () {
+      const form = new FetchFormData()
+      form.append('text', 'value')
+      form.append('blob', new Blob(['blob content'], { type: 'text/plain' }))
+      form.append('file', new File([Buffer.from([0, 1, 2])], 'data.bin'), 'renamed "file".bin')
 
-      url = `${base}multipart`
+      url = `${base}inspect`
       opts = {
         method: 'POST',
         body: form,
         useElectronNet
       }
-
       return fetch(url, opts).then(res => {
         return res.json()
       }).then(res => {
-        expect(res.method).to.equal('POST')
         expect(res.headers['content-type']).to.satisfy(s => s.startsWith('multipart/form-data;boundary='))
-        expect(res.headers['content-length']).to.be.undefined
-        expect(res.body).to.contain('my_field=')
+        if (!useElectronNet) expect(res.headers['content-length']).to.equal(String(Buffer.byteLength(res.body)))
+        return new Response(res.body, { headers: { 'Content-Type': res.headers['content-type'] } }).formData()
+      }).then(result => {
+        expect(result.get('text')).to.equal('value')
+        expect(result.get('blob').name).to.equal('blob')
+        expect(result.get('blob').type).to.equal('text/plain')
+        expect(result.get('blob').size).to.equal(12)
+        expect(result.get('file').name).to.equal('renamed %22file%22.bin')
+        expect(result.get('file').type).to.equal('application/octet-stream')
+        expect(result.get('file').size).to.equal(3)
       })
     })
 
-    it('should allow POST request with form-data as body and custom headers', function () {
-      const form = new FormData()
-      form.append('a', '1')
-
-      const headers = form.getHeaders()
-      headers.b = '2'
+    it('should allow POST request with URLSearchParams as body', function () {
+      const params = new URLSearchParams()
+      params.append('a', '1')
+      params.append('b', 'é &')
 
-      url = `${base}multipart`
+      url = `${base}inspect`
       opts = {
         method: 'POST',
-        body: form,
-        headers,
+        body: params,
         useElectronNet
       }
       return fetch(url, opts).then(res => {
         return res.json()
       }).then(res => {
         expect(res.method).to.equal('POST')
-        expect(res.headers['content-type']).to.satisfy(s => s.startsWith('multipart/form-data; boundary='))
-        expect(res.headers['content-length']).to.be.a('string')
-        expect(res.headers.b).to.equal('2')
+        expect(res.headers['content-type']).to.equal('application/x-www-form-urlencoded;charset=UTF-8')
+        expect(res.headers['content-length']).to.equal('16')
+        expect(res.body).to.equal('a=1&b=%C3%A9+%26')
+      })
+    })
+
+    it('should allow POST request with URLSearchParams polyfill as body', function () {
+      const params = new WhatwgURLSearchParams()
+      params.append('a', '1')
+
+      url = `${base}inspect`
+      opts = {
+        method: 'POST',
+        body: params,
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.headers['content-type']).to.equal('application/x-www-form-urlencoded;charset=UTF-8')
+        expect(res.headers['content-length']).to.equal('3')
         expect(res.body).to.equal('a=1')
       })
     })
 
+    it('should allow POST request with form option', function () {
+      url = `${base}inspect`
+      opts = {
+        method: 'POST',
+        form: { a: 1, b: ['x', 'y'], c: null },
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.headers['content-type']).to.equal('application/x-www-form-urlencoded;charset=UTF-8')
+        expect(res.body).to.equal('a=1&b=x&b=y')
+      })
+    })
+
+    it('should reject when both body and form options are given', function () {
+      url = `${base}inspect`
+      opts = {
+        method: 'POST',
+        body: 'a=1',
+        form: { a: 1 },
+        useElectronNet
+      }
+      return expect(fetch(url, opts)).to.eventually.be.rejectedWith(TypeError)
+    })
+
     it('should allow POST request with object body', function () {
       url = `${base}inspect`
       // note that fetch simply calls tostring on an object
@@ -1086,6 +2742,152 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
+    it('should compress in-memory request bodies', function () {
+      const json = JSON.stringify({ events: new Array(100).fill('event') })
+      const send = (compress, body) => fetch(`${base}inspect/decoded`, { method: 'POST', body, compress, useElectronNet })
+        .then(res => res.json())
+        .then(res => {
+          expect(res.body).to.equal(json)
+          expect(res.headers['content-encoding']).to.equal(compress)
+          expect(res.encodedLength).to.be.below(Buffer.byteLength(json))
+          expect(res.headers['content-length']).to.be.undefined
+          expect(res.headers['transfer-encoding']).to.equal('chunked')
+        })
+      return Promise.all([
+        send('gzip', json),
+        send('deflate', Buffer.from(json)),
+        send('br', new Blob([json]))
+      ])
+    })
+
+    it('should compress large request bodies without blocking the event loop', function () {
+      this.timeout(10000)
+      const json = JSON.stringify({ events: new Array(100000).fill(0).map((v, i) => ({ id: i, name: `event ${i}` })) })
+      let maxDelay = 0
+      let last = Date.now()
+      const timer = setInterval(() => {
+        maxDelay = Math.max(maxDelay, Date.now() - last)
+        last = Date.now()
+      }, 5)
+      return fetch(`${base}inspect/decoded`, { method: 'POST', body: json, compress: 'br', useElectronNet })
+        .then(res => res.json())
+        .then(res => {
+          clearInterval(timer)
+          expect(res.body).to.equal(json)
+          expect(maxDelay).to.be.below(500)
+        })
+    })
+
+    it('should compress stream request bodies with chunked encoding', function () {
+      const progress = []
+      url = `${base}inspect/decoded`
+      opts = {
+        method: 'POST',
+        body: resumer().queue('a=1'.repeat(100)).end(),
+        compress: 'gzip',
+        onUploadProgress: p => progress.push(p),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => res.json()).then(res => {
+        expect(res.body).to.equal('a=1'.repeat(100))
+        expect(res.headers['content-encoding']).to.equal('gzip')
+        expect(res.headers['content-length']).to.be.undefined
+        expect(res.headers['transfer-encoding']).to.equal('chunked')
+        expect(progress[progress.length - 1]).to.deep.equal({ loaded: res.encodedLength, total: null })
+      })
+    })
+
+    it('should add the compression to the Content-Encoding set by the user', function () {
+      url = `${base}inspect/decoded`
+      opts = {
+        method: 'POST',
+        body: zlib.deflateSync('a=1'),
+        headers: { 'Content-Encoding': 'deflate' },
+        compress: 'br',
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => res.json()).then(res => {
+        expect(res.headers['content-encoding']).to.equal('deflate, br')
+        expect(res.body).to.equal('a=1')
+      })
+    })
+
+    it('should not set Content-Encoding on requests without body', function () {
+      url = `${base}inspect`
+      return fetch(url, { compress: 'gzip', useElectronNet }).then(res => res.json()).then(res => {
+        expect(res.headers['content-encoding']).to.be.undefined
+      })
+    })
+
+    it('should reject invalid compress option', function () {
+      expect(() => new Request(base, { method: 'POST', body: 'a', compress: 'zip' })).to.throw(TypeError, 'Invalid compress option')
+    })
+
+    it('should report upload progress', function () {
+      const progress = []
+      url = `${base}inspect`
+      opts = {
+        method: 'POST',
+        body: 'a=1',
+        onUploadProgress: p => progress.push(p),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.body).to.equal('a=1')
+        expect(res.headers['content-length']).to.equal('3')
+        expect(progress).to.deep.equal([{ loaded: 3, total: 3 }])
+      })
+    })
+
+    it('should report upload progress of stream body without total', function () {
+      const progress = []
+      url = `${base}inspect`
+      opts = {
+        method: 'POST',
+        body: asyncIterableOf(['a', '=1']),
+        onUploadProgress: p => progress.push(p),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.json()
+      }).then(res => {
+        expect(res.body).to.equal('a=1')
+        expect(progress).to.deep.equal([{ loaded: 1, total: null }, { loaded: 3, total: null }])
+      })
+    })
+
+    it('should report download progress', function () {
+      const progress = []
+      url = `${base}hello`
+      opts = {
+        onDownloadProgress: p => progress.push(p),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.text()
+      }).then(text => {
+        expect(text).to.equal('world')
+        expect(progress).to.deep.equal([{ loaded: 5, total: 5 }])
+      })
+    })
+
+    it('should report download progress of chunked response without total', function () {
+      const progress = []
+      url = `${base}size/chunk`
+      opts = {
+        onDownloadProgress: p => progress.push(p),
+        useElectronNet
+      }
+      return fetch(url, opts).then(res => {
+        return res.text()
+      }).then(text => {
+        expect(text).to.equal('testtest')
+        expect(progress).to.deep.equal([{ loaded: 4, total: null }, { loaded: 8, total: null }])
+      })
+    })
+
     it('should allow PUT request', function () {
       url = `${base}inspect`
       opts = {
@@ -1336,6 +3138,103 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
+    it('should expose the detected encoding', function () {
+      url = `${base}encoding/gb2312`
+      return fetch(url, { useElectronNet }).then(res => {
+        expect(res.detectedEncoding).to.be.null
+        return res.textConverted().then(() => {
+          expect(res.detectedEncoding).to.equal('GBK')
+        })
+      })
+    })
+
+    it('should default to utf8 encoding when none is detected', function () {
+      url = `${base}encoding/utf8`
+      return fetch(url, { useElectronNet }).then(res => res.textConverted().then(result => {
+        expect(result).to.equal('中文')
+        expect(res.detectedEncoding).to.equal('UTF-8')
+      }))
+    })
+
+    it('should use the byte order mark over other encoding declarations', function () {
+      url = `${base}encoding/bom`
+      return fetch(url, { useElectronNet }).then(res => res.textConverted().then(result => {
+        expect(result).to.equal('<meta charset="gbk">中文')
+        expect(res.detectedEncoding).to.equal('UTF-16LE')
+      }))
+    })
+
+    it('should ignore unknown charset labels of the content-type header', function () {
+      url = `${base}encoding/invalid-charset`
+      return fetch(url, { useElectronNet }).then(res => res.textConverted().then(result => {
+        expect(result).to.equal('<meta charset="gbk"><div>中文</div>')
+        expect(res.detectedEncoding).to.equal('GBK')
+      }))
+    })
+
+    it('should support quoted charset labels, and map them as per the WHATWG encoding standard', function () {
+      url = `${base}encoding/quoted-charset`
+      return fetch(url, { useElectronNet }).then(res => res.textConverted().then(result => {
+        // latin1 is decoded as windows-1252
+        expect(result).to.equal('€é')
+        expect(res.detectedEncoding).to.equal('windows-1252')
+      }))
+    })
+
+    it('should detect meta charset with the HTML prescan algorithm', function () {
+      url = `${base}encoding/prescan`
+      return fetch(url, { useElectronNet }).then(res => res.textConverted().then(result => {
+        expect(result).to.contain('<div>日本語</div>')
+        expect(res.detectedEncoding).to.equal('Shift_JIS')
+      }))
+    })
+
+    it('should support encoding decode as a stream, html4 detect', function () {
+      url = `${base}encoding/chunked`
+      return fetch(url, { useElectronNet }).then(res => {
+        const padding = 'a'.repeat(10)
+        const body = res.textStream()
+        expect(res.bodyUsed).to.be.true
+        return streamToString(body).then(result => {
+          expect(result).to.equal(`${padding}<meta http-equiv="Content-Type" content="text/html; charset=Shift_JIS" /><div>日本語</div>`)
+          expect(res.detectedEncoding).to.equal('Shift_JIS')
+        })
+      })
+    })
+
+    it('should decode characters split across chunks with textStream()', function () {
+      url = `${base}encoding/split`
+      return fetch(url, { useElectronNet }).then(res => {
+        const chunks = []
+        return streamToPromise(res.textStream(), chunk => {
+          if (chunk !== null) chunks.push(chunk)
+        }).then(() => {
+          expect(chunks.length).to.be.above(1)
+          chunks.forEach(chunk => expect(chunk).to.be.a('string'))
+          expect(chunks.join('')).to.equal('日本語'.repeat(1000))
+        })
+      })
+    })
+
+    it('should only do encoding detection up to 1024 bytes with textStream()', function () {
+      url = `${base}encoding/invalid`
+      return fetch(url, { useElectronNet }).then(res => {
+        const padding = 'a'.repeat(1200)
+        return streamToString(res.textStream()).then(result => {
+          expect(result).to.not.equal(`${padding}中文`)
+        })
+      })
+    })
+
+    it('should fail text stream when response body is over size limit', function () {
+      url = `${base}encoding/split`
+      return fetch(url, { size: 1000, useElectronNet }).then(res => {
+        return expect(streamToString(res.textStream())).to.eventually.be.rejected
+          .and.be.an.instanceOf(FetchError)
+          .and.have.property('type', 'max-size')
+      })
+    })
+
     it('should allow piping response body as stream', function () {
       url = `${base}hello`
       return fetch(url, { useElectronNet }).then(res => {
@@ -1349,6 +3248,65 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
+    it('should expose response body as WHATWG ReadableStream with useWebStreams', function () {
+      if (!ReadableStream) return this.skip() // not supported by this version of Node.js
+      url = `${base}gzip`
+      return fetch(url, { useElectronNet, useWebStreams: true }).then(res => {
+        expect(res.body).to.be.an.instanceof(ReadableStream)
+        const reader = res.body.getReader()
+        const chunks = []
+        const read = () => reader.read().then(({ done, value }) => {
+          if (done) return Buffer.concat(chunks).toString()
+          expect(value).to.be.an.instanceof(Uint8Array)
+          chunks.push(value)
+          return read()
+        })
+        return read()
+      }).then(result => {
+        expect(result).to.equal('hello world')
+      })
+    })
+
+    it('should support body methods and cloning with useWebStreams', function () {
+      if (!ReadableStream) return this.skip() // not supported by this version of Node.js
+      url = `${base}json`
+      return fetch(url, { useElectronNet, useWebStreams: true }).then(res => {
+        const r1 = res.clone()
+        expect(r1.body).to.be.an.instanceof(ReadableStream)
+        return Promise.all([res.json(), r1.text()])
+      }).then(([json, text]) => {
+        expect(json).to.deep.equal({ name: 'value' })
+        expect(text).to.equal('{"name":"value"}')
+      })
+    })
+
+    it('should support maximum response size with useWebStreams', function () {
+      if (!ReadableStream) return this.skip() // not supported by this version of Node.js
+      url = `${base}size/chunk`
+      opts = {
+        size: 5,
+        useElectronNet,
+        useWebStreams: true
+      }
+      return fetch(url, opts).then(res => expect(res.text()).to.eventually.be.rejected
+        .and.be.an.instanceOf(FetchError)
+        .and.have.property('type', 'max-size'))
+    })
+
+    it('should abort the request when cancelling a WHATWG ReadableStream body', function () {
+      if (!ReadableStream) return this.skip() // not supported by this version of Node.js
+      url = `${base}slow`
+      return fetch(url, { useElectronNet, useWebStreams: true }).then(res => {
+        const reader = res.body.getReader()
+        return reader.read().then(({ value }) => {
+          expect(Buffer.from(value).toString()).to.equal('test')
+          return reader.cancel()
+        })
+      }).then(() => new Promise(resolve => setTimeout(resolve, 50))).then(() => {
+        expect(testServer.inFlightRequests).to.equal(0)
+      })
+    })
+
     it('should allow cloning a response, and use both as stream', function () {
       url = `${base}hello`
       return fetch(url, { useElectronNet }).then(res => {
@@ -1811,6 +3769,20 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
+    it('should support formData() method in Response constructor', function () {
+      const res = new Response('--b\r\nContent-Disposition: form-data; name="a"\r\n\r\n1\r\n--b\r\nContent-Disposition: form-data; name="f"; filename="na\\"me"\r\n\r\n\r\n--b--', {
+        headers: {
+          'Content-Type': 'multipart/form-data; boundary="b"'
+        }
+      })
+      return res.formData().then(result => {
+        expect(result.get('a')).to.equal('1')
+        expect(result.get('f').name).to.equal('na"me')
+        expect(result.get('f').type).to.equal('text/plain')
+        expect(result.get('f').size).to.equal(0)
+      })
+    })
+
     it('should support clone() method in Response constructor', function () {
       let body = resumer().queue('a=1').end()
       body = body.pipe(new stream.PassThrough())
@@ -1964,6 +3936,95 @@ const createTestSuite = (useElectronNet) => {
       })
     })
 
+    it('should support FormData as body in Request constructor', function () {
+      const form = new FetchFormData()
+      form.append('a', '1')
+      const req = new Request(base, {
+        method: 'POST',
+        body: form
+      })
+      const cl = req.clone()
+      form.append('b', '2')
+      expect(cl.body).to.not.equal(form)
+      expect(cl.headers.get('content-type')).to.equal(req.headers.get('content-type'))
+      return Promise.all([req.formData(), cl.formData()]).then(([result, clonedResult]) => {
+        expect(Array.from(result.keys())).to.deep.equal(['a', 'b'])
+        expect(Array.from(clonedResult.entries())).to.deep.equal([['a', '1']])
+      })
+    })
+
+    it('should support URLSearchParams as body in Request constructor', function () {
+      const params = new URLSearchParams('a=1')
+      const req = new Request(base, {
+        method: 'POST',
+        body: params
+      })
+      const cl = req.clone()
+      params.append('b', '2')
+      expect(cl.body).to.not.equal(params)
+      expect(cl.headers.get('content-type')).to.equal('application/x-www-form-urlencoded;charset=UTF-8')
+      return Promise.all([req.formData(), cl.text()]).then(([result, clonedResult]) => {
+        expect(Array.from(result)).to.deep.equal([['a', '1'], ['b', '2']])
+        expect(clonedResult).to.equal('a=1')
+      })
+    })
+
+    it('should support TypedArray as body in Request constructor', function () {
+      const req = new Request(base, {
+        method: 'POST',
+        body: new Uint8Array([97, 98, 99])
+      })
+      const cl = req.clone()
+      return Promise.all([req.text(), cl.arrayBuffer()]).then(([result, clonedResult]) => {
+        expect(result).to.equal('abc')
+        expect(Array.from(new Uint8Array(clonedResult))).to.deep.equal([97, 98, 99])
+      })
+    })
+
+    it('should support async iterable as body in Request constructor', function () {
+      const req = new Request(base, {
+        method: 'POST',
+        body: asyncIterableOf(['a', '=1'])
+      })
+      const cl = req.clone()
+      return Promise.all([req.text(), cl.text()]).then(([result, clonedResult]) => {
+        expect(result).to.equal('a=1')
+        expect(clonedResult).to.equal('a=1')
+      })
+    })
+
+    it('should stop iterating an async iterable body on error', function () {
+      let returned = false
+      const res = new Response(asyncIterableOf(['a', 1, 'b'], () => { returned = true }))
+      return expect(res.text()).to.eventually.be.rejectedWith(FetchError)
+        .then(() => {
+          expect(returned).to.be.true
+        })
+    })
+
+    it('should support FormData methods', function () {
+      const form = new FetchFormData()
+      form.append('a', '1')
+      form.append('b', 2)
+      form.append('a', '3')
+      form.append('c', new Blob(['x']))
+      expect(form.get('a')).to.equal('1')
+      expect(form.get('b')).to.equal('2')
+      expect(form.getAll('a')).to.deep.equal(['1', '3'])
+      expect(form.get('c')).to.be.an.instanceOf(File)
+      expect(form.get('c').name).to.equal('blob')
+      expect(form.has('c')).to.be.true
+      form.set('a', '4')
+      expect(Array.from(form)).to.deep.equal([['a', '4'], ['b', '2'], ['c', form.get('c')]])
+      form.delete('c')
+      expect(form.has('c')).to.be.false
+      expect(form.get('c')).to.be.null
+      const names = []
+      form.forEach((value, name) => names.push(name))
+      expect(names).to.deep.equal(['a', 'b'])
+      expect(Array.from(form.values())).to.deep.equal(['4', '2'])
+    })
+
     it('should support arbitrary url in Request constructor', function () {
       url = 'anything'
       const req = new Request(url)
@@ -2252,6 +4313,25 @@ const createTestSuite = (useElectronNet) => {
             expect(res.headers.cookie).to.equal(undefined)
           })
       })
+
+      it('should bridge the cookie jar and the session across hosts of a redirect chain', function () {
+        if (parseInt(process.versions.electron) < 7) return this.skip()
+        const otherBase = `http://127.0.0.1:${testServer.port}/`
+        const cookieJar = new CookieJar()
+        cookieJar.setCookie('app=1', otherBase)
+        url = `${base}cookies/set?c=login%3D1&to=${encodeURIComponent(`${otherBase}inspect`)}`
+        return fetch(url, {
+          useElectronNet,
+          useSessionCookies: true,
+          cookieJar,
+          session: electron.session.fromPartition('cookie-jar-redirect')
+        })
+          .then(res => res.json())
+          .then(res => {
+            expect(res.headers.cookie).to.equal('app=1')
+            expect(cookieJar.getCookieString(base)).to.equal('login=1')
+          })
+      })
     }
   })
 
@@ -2266,6 +4346,11 @@ const createTestSuite = (useElectronNet) => {
       stream.on('error', reject)
     })
   }
+
+  function streamToString (stream) {
+    let result = ''
+    return streamToPromise(stream, chunk => { result += chunk }).then(() => result)
+  }
 }
 
 createTestSuite(false)